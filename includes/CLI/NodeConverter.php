@@ -0,0 +1,170 @@
+<?php
+
+namespace BlankTheme\CLI;
+
+use WP_CLI;
+
+/**
+ * Long-running Node.js converter process
+ *
+ * Starts server-blocks2html.js or server-html2blocks.js in batch mode once per
+ * command and sends it one JSON line per item, so pulling or pushing a whole site
+ * runs a single Node process instead of one per block or file.
+ */
+class NodeConverter {
+
+    /**
+     * Node process handle
+     */
+    private $process;
+
+    /**
+     * stdin/stdout pipes of the process
+     */
+    private $pipes = [];
+
+    /**
+     * Temp file that collects stderr (warnings), so a full pipe can't block Node
+     */
+    private $stderr_file;
+
+    /**
+     * How much of the stderr file has been reported
+     */
+    private $stderr_offset = 0;
+
+    /**
+     * Last item ID sent
+     */
+    private $last_id = 0;
+
+    /**
+     * Values html2blocks accepts for its options, default first
+     * Must match checkSetting() in client-html2blocks.js
+     */
+    const OPTION_VALUES = [
+        'style' => ['keep', 'strip'],
+        'mode' => ['universal', 'core'],
+        'inline' => ['html', 'rich'],
+    ];
+
+    /**
+     * Read an html2blocks option from command arguments, failing on unknown values
+     *
+     * @param array $assoc_args Command arguments
+     * @param string $name Option name (a key of OPTION_VALUES)
+     * @return string Value, or the default when the option isn't given
+     */
+    public static function option($assoc_args, $name) {
+        $values = self::OPTION_VALUES[$name];
+        $value = $assoc_args[$name] ?? $values[0];
+
+        if (!in_array($value, $values, true)) {
+            WP_CLI::error("Unknown --{$name} value \"{$value}\" (supported: " . implode(', ', $values) . ")");
+        }
+
+        return $value;
+    }
+
+    /**
+     * Start a parser in batch mode
+     *
+     * @param string $script Parser in includes/CLI/parsers (server-blocks2html.js or server-html2blocks.js)
+     * @param array $options Converter options for every item
+     */
+    public function __construct($script, $options = []) {
+        $script_path = get_template_directory() . '/includes/CLI/parsers/' . $script;
+        $this->stderr_file = tempnam(sys_get_temp_dir(), 'node_');
+
+        $descriptorspec = [
+            0 => ['pipe', 'r'], // stdin
+            1 => ['pipe', 'w'], // stdout
+            2 => ['file', $this->stderr_file, 'a'], // stderr
+        ];
+
+        $this->process = proc_open(
+            "node " . escapeshellarg($script_path) . " --batch " . escapeshellarg(json_encode((object) $options)),
+            $descriptorspec,
+            $this->pipes
+        );
+
+        if (!is_resource($this->process)) {
+            unlink($this->stderr_file);
+            WP_CLI::error("Failed to start Node.js parser");
+        }
+    }
+
+    /**
+     * Convert one item
+     *
+     * @param array $item Item fields: 'blocks' for server-blocks2html.js, 'html' for
+     *                    server-html2blocks.js, and optional per-item 'options'
+     * @return array Result: 'html' or 'markup', or 'error' when this item failed
+     */
+    public function convert($item) {
+        $id = ++$this->last_id;
+        $line = json_encode(['id' => $id] + $item, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+
+        // Never send a blank line: the parser skips it, and the read below would wait forever
+        if ($line === false) {
+            return ['id' => $id, 'error' => 'Could not encode item as JSON: ' . json_last_error_msg()];
+        }
+
+        fwrite($this->pipes[0], $line . "\n");
+        fflush($this->pipes[0]);
+
+        $response = fgets($this->pipes[1]);
+        $this->report_warnings();
+
+        if ($response === false) {
+            WP_CLI::error("Node.js parser stopped unexpectedly");
+        }
+
+        $result = json_decode($response, true);
+
+        if (!is_array($result) || ($result['id'] ?? null) !== $id) {
+            WP_CLI::error("Unexpected output from Node.js parser: " . trim($response));
+        }
+
+        return $result;
+    }
+
+    /**
+     * Close stdin so the parser exits, then clean up
+     */
+    public function close() {
+        if (!is_resource($this->process)) {
+            return;
+        }
+
+        fclose($this->pipes[0]);
+        fclose($this->pipes[1]);
+        proc_close($this->process);
+
+        $this->report_warnings();
+        unlink($this->stderr_file);
+    }
+
+    public function __destruct() {
+        $this->close();
+    }
+
+    /**
+     * Show stderr output written since the last call as WP-CLI warnings
+     */
+    private function report_warnings() {
+        clearstatcache(true, $this->stderr_file);
+        $size = filesize($this->stderr_file);
+
+        if ($size <= $this->stderr_offset) {
+            return;
+        }
+
+        $output = file_get_contents($this->stderr_file, false, null, $this->stderr_offset);
+        $this->stderr_offset = $size;
+
+        if (trim($output) !== '') {
+            WP_CLI::warning(trim($output));
+        }
+    }
+}
@@ -0,0 +1,35 @@
+<?php
+
+namespace BlankTheme\CLI;
+
+/**
+ * Synced pattern manifest for the <Synced> custom element
+ *
+ * core/block refs are post IDs that differ between sites, so the converters
+ * write synced patterns by slug and resolve them through this slug → ID map
+ * of the current site.
+ */
+class SyncedPatterns {
+
+    /**
+     * Build the slug → ID manifest of all synced patterns (wp_block posts)
+     *
+     * @return object Map of post slug to post ID (an object so it encodes as {} when empty)
+     */
+    public static function manifest() {
+        $patterns = get_posts([
+            'post_type' => 'wp_block',
+            'posts_per_page' => -1,
+            'post_status' => ['publish', 'draft', 'private'],
+            'orderby' => 'ID',
+            'order' => 'ASC',
+        ]);
+
+        $manifest = [];
+        foreach ($patterns as $pattern) {
+            $manifest[$pattern->post_name] = $pattern->ID;
+        }
+
+        return (object) $manifest;
+    }
+}
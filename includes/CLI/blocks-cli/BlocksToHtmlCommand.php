@@ -10,6 +10,11 @@ use WP_CLI_Command;
  */
 class BlocksToHtmlCommand extends WP_CLI_Command {
 
+    /**
+     * Batch Node.js converter, started on first use
+     */
+    private $converter;
+
     /**
      * Convert block markup to HTML
      *
@@ -90,6 +95,11 @@ class BlocksToHtmlCommand extends WP_CLI_Command {
             }
         }
 
+        $failed_count = count($files_to_convert) - $success_count;
+        if ($failed_count > 0) {
+            WP_CLI::error("Converted {$success_count} file(s) from block markup to HTML, {$failed_count} failed");
+        }
+
         WP_CLI::success("Converted {$success_count} file(s) from block markup to HTML");
     }
 
@@ -125,18 +135,20 @@ class BlocksToHtmlCommand extends WP_CLI_Command {
         // Parse blocks from file content
         $blocks = parse_blocks($block_markup);
 
-        // Convert blocks to HTML
+        // Convert blocks to HTML using the Node.js parser, so core blocks with a
+        // custom element (<Part>, <Navigation>, <SiteLogo>, ...) come out as readable HTML
         $html_parts = [];
         foreach ($blocks as $block) {
             if (empty($block['blockName'])) {
                 continue; // Skip empty/whitespace blocks
             }
 
-            // Convert WordPress core blocks to custom HTML elements
-            $block_html = $this->convert_block_to_html($block);
+            $block_html = $this->block_to_html_via_node([$this->format_block_for_converter($block)], basename($source_file));
 
-            // Strip WordPress-generated IDs from elements
-            $block_html = preg_replace('/\s+id=["\'][^"\']*["\']/i', '', $block_html);
+            // Skip the file rather than write it with blocks missing; the other files carry on
+            if ($block_html === null) {
+                return false;
+            }
 
             $html_parts[] = trim($block_html);
         }
@@ -156,136 +168,52 @@ class BlocksToHtmlCommand extends WP_CLI_Command {
     }
 
     /**
-     * Convert WordPress block to HTML (with custom elements for core blocks)
+     * Format a single block into the structure expected by blocks2html.js
      */
-    private function convert_block_to_html($block) {
-        $block_name = $block['blockName'];
-        $attrs = $block['attrs'] ?? [];
-
-        // Convert core WordPress blocks to custom HTML elements
-        if ($block_name === 'core/template-part') {
-            return $this->generate_part_element($attrs);
-        }
-
-        if ($block_name === 'core/pattern') {
-            return $this->generate_pattern_element($attrs);
-        }
-
-        if ($block_name === 'core/post-content') {
-            return $this->generate_content_element($attrs);
-        }
-
-        // Handle blocks with innerBlocks recursively
-        if (!empty($block['innerBlocks'])) {
-            // Process innerBlocks first, replacing core blocks with custom elements
-            $processed_inner_blocks = [];
+    private function format_block_for_converter($block) {
+        $formatted = [
+            'name' => $block['blockName'],
+            'attributes' => $block['attrs'] ?? [],
+            'innerBlocks' => [],
+            // Saved HTML lets blocks without a custom element pass through as <wp-block>
+            'innerHTML' => $block['innerHTML'] ?? '',
+            'innerContent' => $block['innerContent'] ?? []
+        ];
+
+        // Recursively format inner blocks
+        if (isset($block['innerBlocks']) && !empty($block['innerBlocks'])) {
             foreach ($block['innerBlocks'] as $inner_block) {
-                $inner_block_name = $inner_block['blockName'] ?? '';
-
-                // If it's a core block we handle, convert it
-                if (in_array($inner_block_name, ['core/template-part', 'core/pattern', 'core/post-content'])) {
-                    $processed_inner_blocks[] = [
-                        'blockName' => '',
-                        'attrs' => [],
-                        'innerBlocks' => [],
-                        'innerHTML' => $this->convert_block_to_html($inner_block),
-                        'innerContent' => [$this->convert_block_to_html($inner_block)]
-                    ];
-                } else {
-                    // Recursively process other blocks
-                    $processed_inner_blocks[] = $this->process_inner_blocks($inner_block);
-                }
+                $formatted['innerBlocks'][] = $this->format_block_for_converter($inner_block);
             }
-
-            // Replace innerBlocks in the block
-            $block['innerBlocks'] = $processed_inner_blocks;
         }
 
-        // For all other blocks, render normally
-        return render_block($block);
+        return $formatted;
     }
 
     /**
-     * Recursively process inner blocks
+     * Convert blocks to HTML using Node.js server-blocks2html.js parser
+     * Runs in batch mode: every conversion of this command shares one Node process
+     * Returns null when the conversion failed (reported as a warning)
      */
-    private function process_inner_blocks($block) {
-        if (!empty($block['innerBlocks'])) {
-            $processed_inner_blocks = [];
-            foreach ($block['innerBlocks'] as $inner_block) {
-                $inner_block_name = $inner_block['blockName'] ?? '';
-
-                if (in_array($inner_block_name, ['core/template-part', 'core/pattern', 'core/post-content'])) {
-                    $processed_inner_blocks[] = [
-                        'blockName' => '',
-                        'attrs' => [],
-                        'innerBlocks' => [],
-                        'innerHTML' => $this->convert_block_to_html($inner_block),
-                        'innerContent' => [$this->convert_block_to_html($inner_block)]
-                    ];
-                } else {
-                    $processed_inner_blocks[] = $this->process_inner_blocks($inner_block);
-                }
-            }
-            $block['innerBlocks'] = $processed_inner_blocks;
+    private function block_to_html_via_node($blocks, $context = '') {
+        if (!$this->converter) {
+            // Synced patterns are written as <Synced slug="..."> using this site's slug → ID map
+            $this->converter = new NodeConverter('server-blocks2html.js', ['syncedPatterns' => SyncedPatterns::manifest()]);
         }
-        return $block;
-    }
 
-    /**
-     * Generate <Part></Part> element
-     */
-    private function generate_part_element($attrs) {
-        $attributes = [];
+        $result = $this->converter->convert(['blocks' => $blocks]);
 
-        if (!empty($attrs['slug'])) {
-            $attributes[] = 'slug="' . esc_attr($attrs['slug']) . '"';
+        // Report the failed item and let the caller carry on with the rest of the batch
+        if (isset($result['error'])) {
+            WP_CLI::warning("Parser error" . ($context ? " in {$context}" : '') . ": " . $result['error']);
+            return null;
         }
 
-        if (!empty($attrs['theme'])) {
-            $attributes[] = 'theme="' . esc_attr($attrs['theme']) . '"';
-        }
-
-        if (!empty($attrs['className'])) {
-            $attributes[] = 'class="' . esc_attr($attrs['className']) . '"';
-        }
-
-        $attr_string = !empty($attributes) ? ' ' . implode(' ', $attributes) : '';
-        return "<Part{$attr_string}></Part>";
-    }
-
-    /**
-     * Generate <Pattern></Pattern> element
-     */
-    private function generate_pattern_element($attrs) {
-        $attributes = [];
-
-        if (!empty($attrs['slug'])) {
-            $attributes[] = 'slug="' . esc_attr($attrs['slug']) . '"';
-        }
-
-        if (!empty($attrs['category'])) {
-            $attributes[] = 'category="' . esc_attr($attrs['category']) . '"';
-        }
-
-        if (!empty($attrs['className'])) {
-            $attributes[] = 'class="' . esc_attr($attrs['className']) . '"';
-        }
-
-        $attr_string = !empty($attributes) ? ' ' . implode(' ', $attributes) : '';
-        return "<Pattern{$attr_string}></Pattern>";
-    }
-
-    /**
-     * Generate <Content></Content> element
-     */
-    private function generate_content_element($attrs) {
-        $attributes = [];
-
-        if (!empty($attrs['className'])) {
-            $attributes[] = 'class="' . esc_attr($attrs['className']) . '"';
+        if ($result['html'] === '') {
+            WP_CLI::warning("Failed to convert blocks to HTML using server-blocks2html.js parser" . ($context ? " in {$context}" : ''));
+            return null;
         }
 
-        $attr_string = !empty($attributes) ? ' ' . implode(' ', $attributes) : '';
-        return "<Content{$attr_string}></Content>";
+        return $result['html'];
     }
 }
@@ -10,6 +10,11 @@ use WP_CLI_Command;
  */
 class HtmlToBlocksCommand extends WP_CLI_Command {
 
+    /**
+     * Batch Node.js converter shared by all files
+     */
+    private $converter;
+
     /**
      * Convert HTML to block markup
      *
@@ -24,6 +29,15 @@ class HtmlToBlocksCommand extends WP_CLI_Command {
      * [--output=<path>]
      * : Output directory (defaults to removing 'src/' prefix from input path)
      *
+     * [--style=<policy>]
+     * : Inline style policy: keep or strip (default: keep)
+     *
+     * [--mode=<mode>]
+     * : Block mode: universal or core (default: universal)
+     *
+     * [--inline=<policy>]
+     * : Mixed text + element content: html or rich (default: html)
+     *
      * ## EXAMPLES
      *
      *     # Convert single file
@@ -42,6 +56,13 @@ class HtmlToBlocksCommand extends WP_CLI_Command {
         $theme_dir = get_template_directory();
         $convert_all = isset($assoc_args['all']);
         $custom_output = $assoc_args['output'] ?? null;
+        $options = [
+            'style' => NodeConverter::option($assoc_args, 'style'),
+            'mode' => NodeConverter::option($assoc_args, 'mode'),
+            'inline' => NodeConverter::option($assoc_args, 'inline'),
+            // <Synced slug="..."> resolves to this site's synced pattern IDs
+            'syncedPatterns' => SyncedPatterns::manifest(),
+        ];
 
         // Resolve full path
         if (!str_starts_with($input_path, '/')) {
@@ -81,6 +102,9 @@ class HtmlToBlocksCommand extends WP_CLI_Command {
             $files_to_convert = [$input_path];
         }
 
+        // One Node.js process converts every file
+        $this->converter = new NodeConverter('server-html2blocks.js', $options);
+
         // Convert each file
         $success_count = 0;
         foreach ($files_to_convert as $source_file) {
@@ -90,6 +114,11 @@ class HtmlToBlocksCommand extends WP_CLI_Command {
             }
         }
 
+        $failed_count = count($files_to_convert) - $success_count;
+        if ($failed_count > 0) {
+            WP_CLI::error("Converted {$success_count} file(s), {$failed_count} failed");
+        }
+
         WP_CLI::success("Converted {$success_count} file(s) from HTML to block markup");
     }
 
@@ -128,33 +157,23 @@ class HtmlToBlocksCommand extends WP_CLI_Command {
         // Read the HTML
         $html = file_get_contents($source_file);
 
+        // Calculate relative paths for display
+        $source_relative = str_replace($theme_dir . '/', '', $source_file);
+        $dest_relative = str_replace($theme_dir . '/', '', $dest_file);
+
         // Convert HTML to blocks using Node.js parser
-        $node_script = <<<'JS'
-const {html2blocks, generateBlockMarkup} = require('./includes/CLI/html2pattern-cli/src/parser.js');
-const fs = require('fs');
-const html = fs.readFileSync(process.argv[1], 'utf8');
-const blocks = html2blocks(html);
-const markup = generateBlockMarkup(blocks);
-console.log(markup);
-JS;
-
-        // Execute Node.js script
-        $escaped_source = escapeshellarg($source_file);
-        $command = "cd " . escapeshellarg($theme_dir) . " && node -e " . escapeshellarg($node_script) . " " . $escaped_source;
-        $block_markup = shell_exec($command);
-
-        if (empty($block_markup)) {
-            WP_CLI::error("Failed to convert HTML to blocks for: {$source_file}");
+        $result = $this->converter->convert(['html' => $html]);
+
+        if (isset($result['error'])) {
+            WP_CLI::warning("Failed to convert HTML to blocks for {$source_relative}: {$result['error']}");
             return false;
         }
 
+        $block_markup = $result['markup'];
+
         // Write to destination
         file_put_contents($dest_file, trim($block_markup));
 
-        // Calculate relative paths for display
-        $source_relative = str_replace($theme_dir . '/', '', $source_file);
-        $dest_relative = str_replace($theme_dir . '/', '', $dest_file);
-
         WP_CLI::log("✓ {$source_relative} → {$dest_relative}");
 
         return true;
@@ -4,6 +4,8 @@
  * Register WP-CLI blocks commands
  */
 
+require_once __DIR__ . '/../SyncedPatterns.php';
+require_once __DIR__ . '/../NodeConverter.php';
 require_once __DIR__ . '/BlocksToHtmlCommand.php';
 require_once __DIR__ . '/HtmlToBlocksCommand.php';
 
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Browser Bundle Builder for the Converters
+ *
+ * client-html2blocks.js and client-blocks2html.js are the only copies of the
+ * converters: Node loads them through html2pattern-cli/src/parser.js, and this
+ * script wraps both into _editor/universal.js, which sets window.universal
+ * (html2blocks, generateBlockMarkup, insertBlocks, blocks2html) in the block editor.
+ *
+ * Output differences between versions go through the blocks2html `compat` option,
+ * never through separate copies.
+ *
+ * Usage: node includes/CLI/build-converters.js [output-file]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUTPUT = path.resolve(__dirname, '../../_editor/universal.js');
+
+const SOURCES = ['client-html2blocks.js', 'client-blocks2html.js'];
+
+/**
+ * Build the browser bundle source
+ * Each converter runs in its own function scope, so its helpers don't leak into
+ * the page and only window.universal is exposed
+ * @returns {string} Browser script
+ */
+function buildConvertersBundle() {
+  const scripts = SOURCES.map(file => {
+    const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    return `/* ${file} */\n(function () {\n${source}\n})();`;
+  });
+
+  return `/* Generated by includes/CLI/build-converters.js - do not edit */\n${scripts.join('\n\n')}\n`;
+}
+
+if (require.main === module) {
+  const output = path.resolve(process.argv[2] || DEFAULT_OUTPUT);
+
+  try {
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, buildConvertersBundle());
+    console.log(`✓ Wrote ${path.relative(process.cwd(), output)}`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildConvertersBundle };
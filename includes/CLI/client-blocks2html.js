@@ -9,44 +9,105 @@
 /**
  * Convert an array of blocks to HTML string
  * @param {Array} blocks - Array of block objects
+ * @param {Object} options - Conversion options, passed on to custom element handlers
+ * @param {Object} options.syncedPatterns - Synced pattern slug -> post ID manifest (for <Synced>)
+ * @param {number} options.compat - Output compatibility version (see getOutputCompat), default 2
  * @returns {string} HTML string
  */
-function blocks2html(blocks) {
+function blocks2html(blocks, options = {}) {
 	if (!blocks || !Array.isArray(blocks)) {
 		return '';
 	}
 
-	return blocks.map(block => blockToHTML(block)).join('\n');
+	// Fail on an unknown version before anything is rendered
+	getOutputCompat(options);
+
+	return blocks.map(block => withComments(block, blockToHTML(block, options))).join('\n');
+}
+
+/**
+ * Wrap block HTML with the authored comments stored in its metadata
+ * @param {Object} block - Block object
+ * @param {string} html - Block HTML
+ * @returns {string} HTML string
+ */
+function withComments(block, html) {
+	const metadata = (block && block.attributes && block.attributes.metadata) || {};
+	const render = comments => (Array.isArray(comments) ? comments : [])
+		.map(comment => `<!--${comment}-->`);
+
+	return [...render(metadata.commentsBefore), html, ...render(metadata.commentsAfter)].join('\n');
+}
+
+/**
+ * Copy block attributes without the comments withComments() writes as real comments,
+ * dropping metadata when nothing else is left in it
+ * @param {Object} attributes - Block attributes
+ * @returns {Object} Attributes
+ */
+function withoutComments(attributes = {}) {
+	if (!attributes.metadata) {
+		return attributes;
+	}
+
+	const { commentsBefore, commentsAfter, ...metadata } = attributes.metadata;
+	const { metadata: _metadata, ...rest } = attributes;
+	return Object.keys(metadata).length > 0 ? { ...rest, metadata } : rest;
 }
 
 /**
  * Convert a single block to HTML
  * @param {Object} block - Block object
+ * @param {Object} options - Conversion options (see blocks2html)
  * @returns {string} HTML string
  */
-function blockToHTML(block) {
+function blockToHTML(block, options = {}) {
 	if (!block) {
 		return '';
 	}
 
+	// Freeform HTML between blocks (a null name, as parse_blocks() returns it) is written as-is
+	if (!block.name) {
+		return (block.innerHTML || '').trim();
+	}
+
+	// Comments that had no block to attach to are written back bare
+	if (isCommentBlock(block)) {
+		return block.innerHTML.trim();
+	}
+
 	// Check for custom element handlers first
-	if (typeof require !== 'undefined') {
-		try {
-			const customHandlers = require('./custom-elements');
-			const handler = customHandlers.byBlockName[block.name];
+	const customHandlers = getCustomHandlers();
+	if (customHandlers) {
+		const helpers = {
+			render: innerBlock => blockToHTML(innerBlock, options),
+			renderChildren: blocks => blocks2html(blocks, options),
+			options
+		};
 
-			if (handler) {
-				return handler.toHTML(block);
-			}
-		} catch (e) {
-			// If custom-elements not found, continue with normal parsing
-			// This allows the parser to work in environments without the handlers
+		const handler = customHandlers.byBlockName[block.name];
+
+		if (handler) {
+			return handler.toHTML(block, helpers);
+		}
+
+		// Twig control attributes are written as <set>, <if> and <loop> wrappers
+		const control = block.name === 'universal/element' && (customHandlers.controls || [])
+			.find(controlHandler => (block.attributes || {})[controlHandler.controls]);
+
+		if (control) {
+			return control.toHTML(block, helpers);
 		}
 	}
 
-	// Only handle universal/element blocks beyond this point
+	// Common core blocks are rendered as their own (readable) saved HTML
+	if (isCoreBlock(block.name)) {
+		return coreBlockToHTML(block, options);
+	}
+
+	// Blocks without a handler are kept as a <wp-block> passthrough
 	if (block.name !== 'universal/element') {
-		return '';
+		return passthroughToHTML(block, options);
 	}
 
 	const { attributes, innerBlocks } = block;
@@ -56,55 +117,95 @@ function blockToHTML(block) {
 		content = '',
 		globalAttrs = {},
 		className = '',
+		anchor = '',
 		metadata = {},
 		loopSource = '',
 		loopVariable = 'item',
 		conditionalVisibility = false,
 		conditionalExpression = '',
 		setVariable = '',
-		setExpression = ''
+		setExpression = '',
+		lock,
+		templateLock,
+		allowedBlocks
 	} = attributes;
 
-	// Build attributes string
-	let attributesString = '';
+	// Inline text (rich inline mode in html2blocks) is written back as bare text
+	if (metadata && metadata.inlineText && !className && !anchor && Object.keys(globalAttrs).length === 0) {
+		return content;
+	}
+
+	// Collect [name, markup] pairs, then order them
+	const attributeList = [];
 
 	// Add data-block-name if metadata.name exists
 	if (metadata && metadata.name) {
-		attributesString += ` data-block-name="${escapeAttribute(metadata.name)}"`;
+		attributeList.push(['data-block-name', ` data-block-name="${escapeAttribute(metadata.name)}"`]);
+	}
+
+	// Add id from the block anchor
+	if (anchor) {
+		attributeList.push(['id', ` id="${escapeAttribute(anchor)}"`]);
 	}
 
 	// Add className if present
 	if (className) {
-		attributesString += ` class="${escapeAttribute(className)}"`;
+		attributeList.push(['class', ` class="${escapeAttribute(className)}"`]);
 	}
 
 	// Add Twig control attributes
 	if (loopSource) {
-		attributesString += ` loopSource="${escapeAttribute(loopSource)}"`;
+		attributeList.push(['loopSource', ` loopSource="${escapeAttribute(loopSource)}"`]);
 	}
 	if (loopSource && loopVariable !== 'item') {
-		attributesString += ` loopVariable="${escapeAttribute(loopVariable)}"`;
+		attributeList.push(['loopVariable', ` loopVariable="${escapeAttribute(loopVariable)}"`]);
 	}
 	if (conditionalExpression) {
-		attributesString += ` conditionalExpression="${escapeAttribute(conditionalExpression)}"`;
+		attributeList.push(['conditionalExpression', ` conditionalExpression="${escapeAttribute(conditionalExpression)}"`]);
 	}
 	if (setVariable) {
-		attributesString += ` setVariable="${escapeAttribute(setVariable)}"`;
+		attributeList.push(['setVariable', ` setVariable="${escapeAttribute(setVariable)}"`]);
 	}
 	if (setExpression) {
-		attributesString += ` setExpression="${escapeAttribute(setExpression)}"`;
+		attributeList.push(['setExpression', ` setExpression="${escapeAttribute(setExpression)}"`]);
+	}
+
+	// Add block bindings as data-bind-* attributes
+	Object.entries((metadata && metadata.bindings) || {}).forEach(([name, binding]) => {
+		const attrName = escapeAttributeName(`data-bind-${name}`);
+		if (attrName && binding) {
+			attributeList.push([attrName, formatBindingAttribute(attrName, binding)]);
+		}
+	});
+
+	// Add locking and allowed blocks
+	if (lock && typeof lock === 'object' && Object.keys(lock).length > 0) {
+		attributeList.push(['data-lock', formatLockAttribute(lock)]);
+	}
+	if (templateLock !== undefined && templateLock !== '') {
+		attributeList.push(['data-template-lock', ` data-template-lock="${escapeAttribute(String(templateLock))}"`]);
+	}
+	if (Array.isArray(allowedBlocks)) {
+		attributeList.push(['data-allowed-blocks', ` data-allowed-blocks="${escapeAttribute(allowedBlocks.join(','))}"`]);
 	}
 
 	// Add global attributes
 	Object.entries(globalAttrs).forEach(([name, value]) => {
 		// Convert data-style back to style
 		if (name === 'data-style') {
-			attributesString += ` style="${escapeAttribute(value)}"`;
-		} else if (name && value !== undefined && value !== '') {
-			attributesString += ` ${escapeAttributeName(name)}="${escapeAttribute(value)}"`;
+			attributeList.push(['style', ` style="${escapeAttribute(value)}"`]);
+		} else if (name && value !== undefined && value !== null) {
+			const markup = formatAttribute(escapeAttributeName(name), value);
+			if (markup) {
+				attributeList.push([name, markup]);
+			}
 		}
 	});
 
+	const attributesString = orderAttributes(attributeList, metadata && metadata.attributeOrder)
+		.map(([, markup]) => markup)
+		.join('');
+
 	// Handle different content types
 	let innerContent = '';
 
@@ -117,7 +218,7 @@ function blockToHTML(block) {
 		case 'blocks':
 			// Recursively convert inner blocks to HTML
 			if (innerBlocks && innerBlocks.length > 0) {
-				innerContent = blocks2html(innerBlocks);
+				innerContent = blocks2html(innerBlocks, options);
 			}
 			break;
 
@@ -127,20 +228,364 @@ function blockToHTML(block) {
 			break;
 	}
 
+	// A control wrapper (<if>, <loop> or <set> around text or several children) whose
+	// controls were written as the element is written back as its children alone
+	if (
+		metadata && metadata.controlWrapper && !className && !anchor && Object.keys(globalAttrs).length === 0 &&
+		!loopSource && !conditionalExpression && !setVariable
+	) {
+		return innerContent;
+	}
+
 	// Generate HTML
-	// Only void elements should be self-closing (img, br, hr, input, etc.)
-	// Regular elements like div should always use full closing tags, even if empty
-	const shouldBeSelfClosing = isVoidElement(tagName);
+	// Void elements are always self-closing (img, br, hr, input, etc.). From compat 2 on,
+	// regular elements like div always use full closing tags, even if empty
+	const compat = getOutputCompat(options);
+	const shouldBeSelfClosing = isVoidElement(tagName) || (compat === 1 && contentType === 'empty');
 
 	if (shouldBeSelfClosing) {
 		return `<${tagName}${attributesString} />`;
 	} else {
 		// For empty elements, add a comment to prevent prettier from nesting siblings
-		const content = innerContent || (contentType === 'empty' ? '<!-- empty -->' : '');
+		const content = innerContent || (contentType === 'empty' && compat >= 2 ? '<!-- empty -->' : '');
 		return `<${tagName}${attributesString}>${content}</${tagName}>`;
 	}
 }
 
+/**
+ * Read the output compatibility version from the options
+ *
+ * Versions change how the same blocks are written, so output only changes when asked:
+ *   1 - empty elements self-close (<div />), the editor's original output
+ *   2 - empty elements get full closing tags and an <!-- empty --> comment (default)
+ * @param {Object} options - Conversion options
+ * @returns {number} Compat version
+ */
+function getOutputCompat(options = {}) {
+	const versions = [1, 2];
+	const compat = options.compat === undefined || options.compat === null ? 2 : Number(options.compat);
+
+	if (!versions.includes(compat)) {
+		throw new Error(`Unknown blocks2html compat version "${options.compat}" (supported: ${versions.join(', ')})`);
+	}
+
+	return compat;
+}
+
+/**
+ * Format a block binding as a data-bind-* attribute
+ * Must match parseBinding() in html2blocks.js for consistent roundtrip
+ * @param {string} name - Attribute name (already escaped)
+ * @param {Object} binding - Binding ({ source, args })
+ * @returns {string} Attribute markup with leading space
+ */
+function formatBindingAttribute(name, binding) {
+	const { source, args, ...rest } = binding;
+	const argNames = args ? Object.keys(args) : [];
+
+	if (typeof source === 'string' && Object.keys(rest).length === 0) {
+		if (argNames.length === 0) {
+			return ` ${name}="${escapeAttribute(source)}"`;
+		}
+
+		if (argNames.length === 1 && typeof args.key === 'string') {
+			// The acf/name shorthand only works for keys without a colon, which would read as a source
+			const value = source === 'acf/field' && !args.key.includes(':') ? `acf/${args.key}` : `${source}:${args.key}`;
+			return ` ${name}="${escapeAttribute(value)}"`;
+		}
+	}
+
+	return ` ${name}='${encodeJsonAttribute(binding)}'`;
+}
+
+/**
+ * Format the block lock attribute as data-lock
+ * Must match parseLock() in html2blocks.js for consistent roundtrip
+ * @param {Object} lock - Lock ({ move, remove })
+ * @returns {string} Attribute markup with leading space
+ */
+function formatLockAttribute(lock) {
+	const values = Object.values(lock);
+
+	// Explicit false values (unlocking inside a locked template) need the JSON form
+	if (values.every(value => value === true)) {
+		return ` data-lock="${escapeAttribute(Object.keys(lock).join(' '))}"`;
+	}
+
+	return ` data-lock='${encodeJsonAttribute(lock)}'`;
+}
+
+/**
+ * Check if an attribute is an HTML boolean attribute (presence means true)
+ * Must match the list in html2blocks.js for consistent roundtrip
+ * @param {string} name - Attribute name
+ * @returns {boolean}
+ */
+function isBooleanAttribute(name) {
+	const booleanAttributes = [
+		'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default',
+		'defer', 'disabled', 'formnovalidate', 'hidden', 'inert', 'ismap', 'itemscope', 'loop',
+		'multiple', 'muted', 'nomodule', 'novalidate', 'open', 'playsinline', 'readonly',
+		'required', 'reversed', 'selected'
+	];
+	return booleanAttributes.includes(name.toLowerCase());
+}
+
+/**
+ * Check if an attribute name is an Alpine.js / Vue-style directive
+ * @param {string} name - Attribute name
+ * @returns {boolean}
+ */
+function isDirectiveAttribute(name) {
+	return /^(x-|v-|@|:)/.test(name);
+}
+
+/**
+ * Format a single global attribute
+ * Boolean attributes and valueless directives (x-cloak, x-transition) are emitted bare;
+ * other empty values keep their quotes (alt="")
+ * @param {string} name - Attribute name (already escaped)
+ * @param {*} value - Attribute value
+ * @returns {string} Attribute markup with leading space, or '' to omit
+ */
+function formatAttribute(name, value) {
+	if (!name) {
+		return '';
+	}
+
+	if (value === '' && isDirectiveAttribute(name)) {
+		return ` ${name}`;
+	}
+
+	if (isBooleanAttribute(name)) {
+		if (value === false) {
+			return '';
+		}
+		if (value === '' || value === true) {
+			return ` ${name}`;
+		}
+	}
+
+	return ` ${name}="${escapeAttribute(value)}"`;
+}
+
+/**
+ * Order attributes by the source order recorded in metadata.attributeOrder
+ * Attributes missing from the recorded order keep their default position at the end
+ * @param {Array} attributeList - Array of [name, markup] pairs in default order
+ * @param {Array} attributeOrder - Attribute names in source order
+ * @returns {Array} Ordered [name, markup] pairs
+ */
+function orderAttributes(attributeList, attributeOrder) {
+	if (!Array.isArray(attributeOrder) || attributeOrder.length === 0) {
+		return attributeList;
+	}
+
+	const position = name => {
+		const index = attributeOrder.indexOf(name);
+		return index === -1 ? attributeOrder.length : index;
+	};
+
+	// Array.prototype.sort is stable, so unlisted attributes keep their relative order
+	return attributeList.slice().sort((a, b) => position(a[0]) - position(b[0]));
+}
+
+/**
+ * Check if a block is a core/html block holding nothing but comments
+ * Must match createCommentBlock() in html2blocks.js
+ * @param {Object} block - Block object
+ * @returns {boolean}
+ */
+function isCommentBlock(block) {
+	return block.name === 'core/html' &&
+		Object.keys(block.attributes || {}).length === 0 &&
+		/^\s*(<!--[\s\S]*?-->\s*)+$/.test(block.innerHTML || '');
+}
+
+/**
+ * Get the custom element handler registry
+ * Handlers are injected by the server-side parsers as window.__customHandlers
+ * @returns {Object|null} Registry with byTagName, byBlockName and controls
+ */
+function getCustomHandlers() {
+	if (typeof window !== 'undefined' && window.__customHandlers) {
+		return window.__customHandlers;
+	}
+
+	if (typeof require !== 'undefined') {
+		try {
+			return require('./custom-elements');
+		} catch (e) {
+			// If custom-elements not found, continue with normal parsing
+			// This allows the parser to work in environments without the handlers
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Check if a block is a core block rendered as plain HTML
+ * (read back by html2blocks through data-block-attrs, or with mode: 'core')
+ * @param {string} blockName - Block name
+ * @returns {boolean}
+ */
+function isCoreBlock(blockName) {
+	const coreBlocks = [
+		'core/paragraph', 'core/heading', 'core/image', 'core/list', 'core/list-item',
+		'core/buttons', 'core/button', 'core/group', 'core/columns', 'core/column'
+	];
+	return coreBlocks.includes(blockName);
+}
+
+/**
+ * Check if a class is generated by WordPress from block attributes (not part of className)
+ * Must match isGeneratedClass() in html2blocks.js
+ * @param {string} name - Class name
+ * @returns {boolean}
+ */
+function isGeneratedClass(name) {
+	return /^(wp-block-|wp-element-|wp-image-|has-|is-|size-|align(left|right|center|wide|full)$)/.test(name);
+}
+
+/**
+ * Attributes that can be read back from a core block's root element
+ * Must match inferCoreAttributes() in html2blocks.js
+ * @param {string} blockName - Core block name
+ * @param {string} tagName - Root tag name
+ * @param {Array} classNames - Root element classes
+ * @returns {Object} Inferred attributes
+ */
+function inferCoreAttributes(blockName, tagName, classNames) {
+	const attributes = {};
+
+	if (blockName === 'core/heading' && tagName !== 'h2') {
+		attributes.level = Number(tagName.slice(1));
+	}
+
+	if (blockName === 'core/list' && tagName === 'ol') {
+		attributes.ordered = true;
+	}
+
+	const className = classNames.filter(name => name && !isGeneratedClass(name)).join(' ');
+	if (className) {
+		attributes.className = className;
+	}
+
+	return attributes;
+}
+
+/**
+ * Convert a common core block to its saved HTML, with inner blocks filled in
+ * The root always gets data-block-attrs, so html2blocks reads it back as the core block
+ * in every mode: a bare attribute, or the attributes that can't be read back from the markup
+ * @param {Object} block - Block object
+ * @param {Object} options - Conversion options (see blocks2html)
+ * @returns {string} HTML string
+ */
+function coreBlockToHTML(block, options = {}) {
+	const { name, attributes = {}, innerBlocks = [], innerHTML = '', innerContent } = block;
+	const parts = Array.isArray(innerContent) && innerContent.length > 0
+		? innerContent
+		: (innerHTML ? [innerHTML] : []);
+
+	let index = 0;
+	const html = parts
+		.map(part => {
+			if (part !== null) {
+				return part;
+			}
+			const innerBlock = innerBlocks[index++];
+			return innerBlock ? withComments(innerBlock, blockToHTML(innerBlock, options)) : '';
+		})
+		.join('')
+		.trim();
+
+	// Without saved markup there's nothing readable to show
+	const rootTag = html.match(/^<([a-zA-Z][a-zA-Z0-9-]*)([^>]*)>/);
+	if (!rootTag) {
+		return passthroughToHTML(block, options);
+	}
+
+	const classMatch = rootTag[2].match(/\sclass="([^"]*)"/);
+	const inferred = inferCoreAttributes(
+		name,
+		rootTag[1].toLowerCase(),
+		classMatch ? classMatch[1].split(/\s+/) : []
+	);
+
+	const serialized = withoutComments(attributes);
+	const remaining = {};
+	Object.keys(serialized).forEach(key => {
+		if (JSON.stringify(inferred[key]) !== JSON.stringify(serialized[key])) {
+			remaining[key] = serialized[key];
+		}
+	});
+
+	const marker = Object.keys(remaining).length > 0
+		? ` data-block-attrs='${encodeJsonAttribute(remaining)}'`
+		: ' data-block-attrs';
+
+	return html.replace(/^<[a-zA-Z][a-zA-Z0-9-]*/, openTag => `${openTag}${marker}`);
+}
+
+/**
+ * Convert any block to a <wp-block> passthrough element
+ * Static blocks keep their saved innerHTML as children; blocks with inner blocks
+ * get the inner-blocks flag, plus inner-content when the wrapper HTML isn't the default
+ * @param {Object} block - Block object
+ * @param {Object} options - Conversion options (see blocks2html)
+ * @returns {string} HTML string
+ */
+function passthroughToHTML(block, options = {}) {
+	const { name, innerBlocks = [], innerHTML = '', innerContent } = block;
+	const attributes = withoutComments(block.attributes);
+	let attributesString = ` name="${escapeAttribute(name)}"`;
+
+	if (attributes && Object.keys(attributes).length > 0) {
+		attributesString += ` attrs='${encodeJsonAttribute(attributes)}'`;
+	}
+
+	if (!innerBlocks || innerBlocks.length === 0) {
+		const html = innerHTML || (Array.isArray(innerContent) ? innerContent.join('') : '');
+		return `<wp-block${attributesString}>${html}</wp-block>`;
+	}
+
+	attributesString += ' inner-blocks';
+
+	if (Array.isArray(innerContent) && !isDefaultInnerContent(innerContent, innerBlocks.length)) {
+		attributesString += ` inner-content='${encodeJsonAttribute(innerContent)}'`;
+	}
+
+	return `<wp-block${attributesString}>${blocks2html(innerBlocks, options)}</wp-block>`;
+}
+
+/**
+ * Check if innerContent is what generateBlockMarkup produces for plain inner blocks
+ * Must match defaultInnerContent() in html2blocks.js
+ * @param {Array} innerContent - innerContent array (null marks an inner block)
+ * @param {number} count - Number of inner blocks
+ * @returns {boolean}
+ */
+function isDefaultInnerContent(innerContent, count) {
+	if (innerContent.length !== count * 2 + 1) {
+		return false;
+	}
+	return innerContent.every((part, i) => (i % 2 === 0 ? part === '\n' : part === null));
+}
+
+/**
+ * Encode a value as JSON for a single-quoted HTML attribute
+ * & and ' are unicode-escaped so the value survives entity decoding untouched
+ * @param {*} value - Value to encode
+ * @returns {string} JSON string
+ */
+function encodeJsonAttribute(value) {
+	return JSON.stringify(value)
+		.replace(/&/g, '\\u0026')
+		.replace(/'/g, '\\u0027');
+}
+
 /**
  * Check if a tag name is a void element
  * Must match the logic in html2blocks.js for consistent roundtrip
@@ -174,12 +619,18 @@ function escapeAttribute(value) {
 
 /**
  * Escape HTML attribute name
+ * Accepts every character HTML allows in attribute names, so directives such as
+ * @click, :class, x-on:click.prevent, x-bind:aria-expanded and xlink:href survive
  * @param {string} name - Attribute name
- * @returns {string} Escaped name
+ * @returns {string} Attribute name, or '' if the name is unsafe
  */
 function escapeAttributeName(name) {
-	// Only allow letters, numbers, hyphens, and underscores
-	return name.replace(/[^a-zA-Z0-9\-_]/g, '');
+	// Disallow whitespace, control characters, quotes, <, >, / and =
+	if (!/^[^\s\x00-\x1F\x7F-\x9F"'<>\/=]+$/.test(name)) {
+		console.warn(`Warning: skipping unsafe attribute name "${name}"`);
+		return '';
+	}
+	return name;
 }
 
 // Expose to window
@@ -8,40 +8,178 @@
 /**
  * Parse HTML string to universal/element blocks
  * @param {string} html - HTML string to parse
+ * @param {Object} options - Conversion options
+ * @param {string} options.style - Inline style policy: 'keep' (default) or 'strip'
+ * @param {string} options.mode - 'universal' (default) or 'core' to produce core blocks where possible
+ * @param {string} options.inline - Mixed text + element content: 'html' (default) keeps it as HTML,
+ *   'rich' keeps only phrasing markup as HTML and splits anything else into blocks
+ * @param {Array|string} options.inlineTags - Phrasing tags allowed in rich inline HTML (default: a, strong, em, span, br, code)
+ * @param {Object} options.syncedPatterns - Synced pattern slug -> post ID manifest (for <Synced>)
  * @returns {Array} Array of block objects
  */
-function html2blocks(html) {
+function html2blocks(html, options = {}) {
   if (!html || typeof html !== 'string') {
     return [];
   }
 
+  Object.keys(options).forEach(name => checkSetting(name, options[name], 'html2blocks option'));
+
+  // Per-file directives (e.g. <!-- html2blocks style="strip" -->) override passed options
+  const settings = Object.assign({ style: 'keep', mode: 'universal', inline: 'html' }, options, readDirectives(html));
+
   // Use DOMParser to preserve custom elements like <set>, <loop>, <if>
   // innerHTML can mangle unknown elements, DOMParser treats them as proper elements
+  // Fragments are opened with <body> so leading comments land in the body, not the document
   const parser = new DOMParser();
-  const doc = parser.parseFromString(html.trim(), 'text/html');
+  const source = html.trim();
+  const isDocument = /^(<!doctype|<html|<head|<body)/i.test(source);
+  const doc = parser.parseFromString(isDocument ? source : '<body>' + source, 'text/html');
 
   // Get body content (DOMParser wraps in <html><body>)
   const temp = doc.body;
 
   // Parse child nodes
+  return parseChildNodes(temp.childNodes, settings);
+}
+
+/**
+ * Parse a list of sibling nodes to blocks
+ * Authored comments are attached to the next block (metadata.commentsBefore),
+ * or to the previous block (metadata.commentsAfter) when nothing follows them;
+ * comments without any block beside them become a core/html block of their own
+ * @param {NodeList} nodes - Sibling DOM nodes
+ * @param {Object} settings - Resolved conversion options
+ * @returns {Array} Array of block objects
+ */
+function parseChildNodes(nodes, settings = {}) {
   const blocks = [];
-  Array.from(temp.childNodes).forEach(node => {
-    const block = parseNode(node);
+  let pendingComments = [];
+
+  Array.from(nodes).forEach(node => {
+    if (node.nodeType === Node.COMMENT_NODE) {
+      if (!isFormattingComment(node)) {
+        pendingComments.push(node.data);
+      }
+      return;
+    }
+
+    const block = parseNode(node, settings);
     if (block) {
+      if (pendingComments.length > 0) {
+        attachComments(block, 'commentsBefore', pendingComments);
+        pendingComments = [];
+      }
       blocks.push(block);
     }
   });
 
+  if (pendingComments.length > 0) {
+    if (blocks.length > 0) {
+      attachComments(blocks[blocks.length - 1], 'commentsAfter', pendingComments);
+    } else {
+      blocks.push(createCommentBlock(pendingComments));
+    }
+  }
+
   return blocks;
 }
 
+/**
+ * Create a core/html block holding comments that have no block to attach to
+ * (a fragment made only of comments); blocks2html writes it back as the bare comments
+ * Must match isCommentBlock() in blocks2html.js
+ * @param {Array} comments - Raw comment text (without <!-- -->)
+ * @returns {Object} Block object
+ */
+function createCommentBlock(comments) {
+  const innerHTML = comments.map(comment => `<!--${comment}-->`).join('\n');
+  return {
+    name: 'core/html',
+    attributes: {},
+    innerBlocks: [],
+    innerHTML,
+    innerContent: [innerHTML],
+  };
+}
+
+/**
+ * Check if a comment is a converter marker rather than an authored comment
+ * (<!-- empty --> placeholders from blocks2html and <!-- html2blocks ... --> directives)
+ * @param {Comment} node - Comment node
+ * @returns {boolean}
+ */
+function isFormattingComment(node) {
+  const text = node.data.trim();
+  return text === 'empty' || /^html2blocks\s/.test(text);
+}
+
+/**
+ * Store authored comments in block metadata
+ * @param {Object} block - Block object
+ * @param {string} key - 'commentsBefore' or 'commentsAfter'
+ * @param {Array} comments - Raw comment text (without <!-- -->)
+ * @returns {void}
+ */
+function attachComments(block, key, comments) {
+  block.attributes = block.attributes || {};
+  block.attributes.metadata = { ...block.attributes.metadata, [key]: comments };
+}
+
+/**
+ * Read conversion directives from leading html2blocks comments
+ * @param {string} html - HTML string
+ * @returns {Object} Directive key/value pairs
+ */
+function readDirectives(html) {
+  const directives = {};
+  const leadingComments = /^\s*<!--\s*html2blocks\s+([\s\S]*?)-->/;
+  let rest = html;
+  let match;
+
+  while ((match = rest.match(leadingComments))) {
+    const pairs = /([a-zA-Z-]+)\s*=\s*"([^"]*)"/g;
+    let pair;
+    while ((pair = pairs.exec(match[1]))) {
+      checkSetting(pair[1], pair[2], 'html2blocks directive');
+      directives[pair[1]] = pair[2];
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  return directives;
+}
+
+/**
+ * Check the value of a conversion setting with a fixed set of values
+ * Must match the values the WP-CLI commands and the html2pattern CLI accept
+ * @param {string} name - Setting name (option or directive)
+ * @param {*} value - Value (undefined means the default)
+ * @param {string} source - Where the value comes from, for the error message
+ * @returns {void}
+ * @throws {Error} If the value isn't one of the supported values
+ */
+function checkSetting(name, value, source) {
+  const settingValues = {
+    style: ['keep', 'strip'],
+    mode: ['universal', 'core'],
+    inline: ['html', 'rich'],
+  };
+
+  if (value === undefined || !settingValues[name] || settingValues[name].includes(value)) {
+    return;
+  }
+
+  throw new Error(`Unknown ${source} ${name}="${value}" (supported: ${settingValues[name].join(', ')})`);
+}
+
 /**
  * Parse a DOM node to a block object
  * @param {Node} node - DOM node to parse
+ * @param {Object} settings - Resolved conversion options
  * @returns {Object|null} Block object or null
  */
-function parseNode(node) {
-  // Skip comments and empty text nodes
+function parseNode(node, settings = {}) {
+  // Skip comments (parseChildNodes attaches them to siblings) and empty text nodes
   if (node.nodeType === Node.COMMENT_NODE) {
     return null;
   }
@@ -51,6 +189,11 @@ function parseNode(node) {
     const text = node.textContent.trim();
     if (!text) return null;
 
+    // Rich inline mode keeps stray text inline instead of inventing a paragraph
+    if (settings.inline === 'rich') {
+      return createInlineText(text);
+    }
+
     // Wrap text in a paragraph
     return createBlock('p', 'text', text, { className: '', globalAttrs: {} });
   }
@@ -59,19 +202,36 @@ function parseNode(node) {
   if (node.nodeType === Node.ELEMENT_NODE) {
     const tagName = node.tagName.toLowerCase();
 
+    // <wp-block> passthrough restores blocks that have no HTML representation
+    if (tagName === 'wp-block') {
+      return parsePassthrough(node, settings);
+    }
+
     // Check for custom element handlers first
     // Handlers are injected by the server-side parser as window.__customHandlers
     if (typeof window !== 'undefined' && window.__customHandlers) {
       const handler = window.__customHandlers.byTagName[tagName];
       if (handler) {
-        return handler.toBlock(node);
+        return handler.toBlock(node, {
+          parseChildren: nodes => parseChildNodes(nodes, settings),
+          options: settings,
+        });
       }
     }
 
-    const attributes = getAttributes(node);
+    // In core mode, paragraphs, headings, lists, images, buttons, groups and columns become core blocks;
+    // in any mode, so do those elements when blocks2html marked them with data-block-attrs
+    if (settings.mode === 'core' || node.hasAttribute('data-block-attrs')) {
+      const coreBlockName = getCoreBlockName(node, tagName);
+      if (coreBlockName) {
+        return createCoreBlock(node, coreBlockName, settings);
+      }
+    }
+
+    const attributes = getAttributes(node, settings);
 
     // Determine content type
-    const contentType = determineContentType(node, tagName);
+    const contentType = determineContentType(node, tagName, settings);
 
     // Create block based on content type
     if (contentType === 'empty') {
@@ -115,13 +275,7 @@ function parseNode(node) {
 
     if (contentType === 'blocks') {
       // Parse child nodes recursively
-      const innerBlocks = [];
-      Array.from(node.childNodes).forEach(child => {
-        const childBlock = parseNode(child);
-        if (childBlock) {
-          innerBlocks.push(childBlock);
-        }
-      });
+      const innerBlocks = parseChildNodes(node.childNodes, settings);
 
       return createBlock(tagName, 'blocks', '', attributes, innerBlocks);
     }
@@ -130,13 +284,278 @@ function parseNode(node) {
   return null;
 }
 
+/**
+ * Parse a <wp-block> passthrough element back to the block it was created from
+ * Without the inner-blocks flag the children are the block's static innerHTML;
+ * with it the children are inner blocks, wrapped by the optional inner-content JSON
+ * @param {Element} element - <wp-block> element
+ * @param {Object} settings - Resolved conversion options
+ * @returns {Object|null} Block object or null
+ */
+function parsePassthrough(element, settings = {}) {
+  const name = element.getAttribute('name');
+  if (!name) {
+    console.warn('Warning: skipping <wp-block> without a name attribute');
+    return null;
+  }
+
+  const attributes = parseJsonAttribute(element, 'attrs') || {};
+
+  if (!element.hasAttribute('inner-blocks')) {
+    const innerHTML = element.innerHTML;
+    return {
+      name,
+      attributes,
+      innerBlocks: [],
+      innerHTML,
+      innerContent: innerHTML ? [innerHTML] : [],
+    };
+  }
+
+  const innerBlocks = parseChildNodes(element.childNodes, settings);
+  let innerContent = parseJsonAttribute(element, 'inner-content');
+
+  // Fall back to the default wrapper if inner blocks were added or removed by hand
+  if (
+    !Array.isArray(innerContent) ||
+    innerContent.filter(part => part === null).length !== innerBlocks.length
+  ) {
+    innerContent = defaultInnerContent(innerBlocks.length);
+  }
+
+  return {
+    name,
+    attributes,
+    innerBlocks,
+    innerHTML: innerContent.filter(part => part !== null).join(''),
+    innerContent,
+  };
+}
+
+/**
+ * Read a JSON-encoded attribute (wp-block attrs/inner-content, data-block-attrs)
+ * @param {Element} element - DOM element
+ * @param {string} attrName - Attribute name
+ * @returns {*} Parsed value, or null if the attribute is missing
+ */
+function parseJsonAttribute(element, attrName) {
+  const value = element.getAttribute(attrName);
+  if (value === null || value === '') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${attrName} attribute of <${element.tagName.toLowerCase()}>`);
+  }
+}
+
+/**
+ * innerContent produced by generateBlockMarkup for a block with inner blocks
+ * (inner blocks on their own lines, no wrapper markup)
+ * Must match isDefaultInnerContent() in blocks2html.js
+ * @param {number} count - Number of inner blocks
+ * @returns {Array} innerContent array (null marks an inner block)
+ */
+function defaultInnerContent(count) {
+  if (count === 0) {
+    return [];
+  }
+
+  const innerContent = ['\n'];
+  for (let i = 0; i < count; i++) {
+    innerContent.push(null, '\n');
+  }
+  return innerContent;
+}
+
+/**
+ * Check if a class is generated by WordPress from block attributes (not part of className)
+ * Must match isGeneratedClass() in blocks2html.js
+ * @param {string} name - Class name
+ * @returns {boolean}
+ */
+function isGeneratedClass(name) {
+  return /^(wp-block-|wp-element-|wp-image-|has-|is-|size-|align(left|right|center|wide|full)$)/.test(name);
+}
+
+/**
+ * Get the core block an element maps to (in core mode, or when marked with data-block-attrs)
+ * @param {Element} element - DOM element
+ * @param {string} tagName - Tag name
+ * @returns {string|null} Core block name or null
+ */
+function getCoreBlockName(element, tagName) {
+  const classes = element.classList;
+
+  if (tagName === 'p') return 'core/paragraph';
+  if (/^h[1-6]$/.test(tagName)) return 'core/heading';
+  if (tagName === 'ul' || tagName === 'ol') return 'core/list';
+  if (tagName === 'li') return 'core/list-item';
+  if (tagName === 'img') return 'core/image';
+  if (tagName === 'figure' && classes.contains('wp-block-image')) return 'core/image';
+  if (classes.contains('wp-block-buttons')) return 'core/buttons';
+  if (classes.contains('wp-block-button')) return 'core/button';
+  if (classes.contains('wp-block-group')) return 'core/group';
+  if (classes.contains('wp-block-columns')) return 'core/columns';
+  if (classes.contains('wp-block-column')) return 'core/column';
+
+  return null;
+}
+
+/**
+ * Attributes that can be read back from a core block's root element
+ * Must match inferCoreAttributes() in blocks2html.js
+ * @param {string} blockName - Core block name
+ * @param {string} tagName - Root tag name
+ * @param {Array} classNames - Root element classes
+ * @returns {Object} Inferred attributes
+ */
+function inferCoreAttributes(blockName, tagName, classNames) {
+  const attributes = {};
+
+  if (blockName === 'core/heading' && tagName !== 'h2') {
+    attributes.level = Number(tagName.slice(1));
+  }
+
+  if (blockName === 'core/list' && tagName === 'ol') {
+    attributes.ordered = true;
+  }
+
+  const className = classNames.filter(name => name && !isGeneratedClass(name)).join(' ');
+  if (className) {
+    attributes.className = className;
+  }
+
+  return attributes;
+}
+
+/**
+ * Create a core block from an element, keeping its markup as the saved HTML
+ * Child elements that are blocks themselves (list items, buttons, group/column contents)
+ * become inner blocks; everything else stays in innerContent
+ * @param {Element} element - DOM element
+ * @param {string} blockName - Core block name
+ * @param {Object} settings - Resolved conversion options
+ * @returns {Object} Block object
+ */
+function createCoreBlock(element, blockName, settings = {}) {
+  const tagName = element.tagName.toLowerCase();
+
+  // Bare <img> gets the figure wrapper core/image saves
+  if (blockName === 'core/image' && tagName === 'img') {
+    const figure = element.ownerDocument.createElement('figure');
+    figure.className = 'wp-block-image';
+    figure.appendChild(element.cloneNode(true));
+    return createCoreBlock(figure, blockName, settings);
+  }
+
+  const attributes = {
+    ...inferCoreAttributes(blockName, tagName, Array.from(element.classList)),
+    ...(parseJsonAttribute(element, 'data-block-attrs') || {}),
+  };
+
+  // Opening and closing tags without the converter's data-block-attrs
+  const shell = element.cloneNode(false);
+  shell.removeAttribute('data-block-attrs');
+  const closeTag = `</${tagName}>`;
+  const openTag = shell.outerHTML.endsWith(closeTag)
+    ? shell.outerHTML.slice(0, -closeTag.length)
+    : shell.outerHTML;
+
+  const isInnerBlock = child => {
+    if (child.nodeType !== Node.ELEMENT_NODE) return false;
+    if (blockName === 'core/list-item') return ['ul', 'ol'].includes(child.tagName.toLowerCase());
+    return ['core/list', 'core/buttons', 'core/group', 'core/columns', 'core/column'].includes(blockName);
+  };
+
+  const innerBlocks = [];
+  const innerContent = [openTag];
+
+  Array.from(element.childNodes).forEach(child => {
+    if (isInnerBlock(child)) {
+      const childBlock = parseNode(child, settings);
+      if (childBlock) {
+        innerBlocks.push(childBlock);
+        innerContent.push(null);
+      }
+      return;
+    }
+
+    const html = serializeStaticNode(child);
+    const last = innerContent.length - 1;
+    if (innerContent[last] !== null) {
+      innerContent[last] += html;
+    } else {
+      innerContent.push(html);
+    }
+  });
+
+  if (!isVoidElement(tagName)) {
+    if (innerContent[innerContent.length - 1] !== null) {
+      innerContent[innerContent.length - 1] += closeTag;
+    } else {
+      innerContent.push(closeTag);
+    }
+  }
+
+  return {
+    name: blockName,
+    attributes,
+    innerBlocks,
+    innerHTML: innerContent.filter(part => part !== null).join(''),
+    innerContent,
+  };
+}
+
+/**
+ * Serialize a node that stays part of a core block's saved HTML
+ * @param {Node} node - DOM node
+ * @returns {string} HTML string
+ */
+function serializeStaticNode(node) {
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    return node.outerHTML;
+  }
+
+  if (node.nodeType === Node.COMMENT_NODE) {
+    return `<!--${node.data}-->`;
+  }
+
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.data
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\u00a0/g, '&nbsp;');
+  }
+
+  return '';
+}
+
+/**
+ * Check if a tag name is a void element
+ * Must match the list in blocks2html.js for consistent roundtrip
+ * @param {string} tagName - HTML tag name
+ * @returns {boolean}
+ */
+function isVoidElement(tagName) {
+  const voidElements = [
+    'img', 'br', 'hr', 'input', 'meta', 'link', 'area', 'base',
+    'col', 'embed', 'source', 'track', 'wbr',
+  ];
+  return voidElements.includes(tagName.toLowerCase());
+}
+
 /**
  * Determine content type based on element's children
  * @param {Element} element - DOM element
  * @param {string} tagName - Tag name
+ * @param {Object} settings - Resolved conversion options
  * @returns {string} Content type: 'blocks', 'text', 'html', or 'empty'
  */
-function determineContentType(element, tagName) {
+function determineContentType(element, tagName, settings = {}) {
   // Elements that should preserve their innerHTML as-is
   const htmlContentElements = ['svg', 'script', 'code', 'pre', 'style', 'input'];
   if (htmlContentElements.includes(tagName)) {
@@ -151,18 +570,27 @@ function determineContentType(element, tagName) {
   // Count child node types
   let hasElementChildren = false;
   let hasTextChildren = false;
+  let hasCommentChildren = false;
 
   Array.from(element.childNodes).forEach(node => {
     if (node.nodeType === Node.ELEMENT_NODE) {
       hasElementChildren = true;
     } else if (node.nodeType === Node.TEXT_NODE && node.textContent.trim() !== '') {
       hasTextChildren = true;
+    } else if (node.nodeType === Node.COMMENT_NODE && !isFormattingComment(node)) {
+      hasCommentChildren = true;
     }
   });
 
+  // Text or nothing else alongside authored comments = HTML (keeps the comments in innerHTML)
+  if (hasCommentChildren && !hasElementChildren) {
+    return 'html';
+  }
+
   // Mixed content (text + elements) = HTML
+  // In rich inline mode only phrasing markup stays HTML; anything else is split into blocks
   if (hasElementChildren && hasTextChildren) {
-    return 'html';
+    return settings.inline === 'rich' && !isInlineContent(element, settings) ? 'blocks' : 'html';
   }
 
   // Only element children = blocks
@@ -179,6 +607,37 @@ function determineContentType(element, tagName) {
   return 'empty';
 }
 
+/**
+ * Check whether all element descendants are plain phrasing markup that RichText can edit
+ * Custom elements, other tags, and elements with Twig attributes or bindings don't qualify
+ * @param {Element} element - DOM element
+ * @param {Object} settings - Resolved conversion options
+ * @returns {boolean}
+ */
+function isInlineContent(element, settings = {}) {
+  const inlineTags = typeof settings.inlineTags === 'string'
+    ? settings.inlineTags.split(',').map(tag => tag.trim().toLowerCase())
+    : (settings.inlineTags || ['a', 'strong', 'em', 'span', 'br', 'code']);
+  const blockAttribute = /^(loopsource|loopvariable|conditionalvisibility|conditionalexpression|setvariable|setexpression|data-bind-|data-lock$|data-template-lock$|data-allowed-blocks$)/;
+
+  return Array.from(element.querySelectorAll('*')).every(child =>
+    inlineTags.includes(child.tagName.toLowerCase()) &&
+    !Array.from(child.attributes).some(attr => blockAttribute.test(attr.name.toLowerCase()))
+  );
+}
+
+/**
+ * Create an inline text block for a text node in rich inline mode
+ * blocks2html writes it back as bare text, so no wrapper element is invented
+ * @param {string} text - Text content (whitespace collapsed)
+ * @returns {Object} Block object
+ */
+function createInlineText(text) {
+  const block = createBlock('span', 'text', text.replace(/\s+/g, ' '), { className: '', globalAttrs: {} });
+  block.attributes.metadata = { inlineText: true };
+  return block;
+}
+
 /**
  * Decode HTML entities in a string
  * @param {string} str - String with HTML entities
@@ -190,15 +649,152 @@ function decodeHtmlEntities(str) {
   return textarea.value;
 }
 
+/**
+ * Check if an attribute is an HTML boolean attribute (presence means true)
+ * Must match the list in blocks2html.js for consistent roundtrip
+ * @param {string} name - Attribute name
+ * @returns {boolean}
+ */
+function isBooleanAttribute(name) {
+  const booleanAttributes = [
+    'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls', 'default',
+    'defer', 'disabled', 'formnovalidate', 'hidden', 'inert', 'ismap', 'itemscope', 'loop',
+    'multiple', 'muted', 'nomodule', 'novalidate', 'open', 'playsinline', 'readonly',
+    'required', 'reversed', 'selected',
+  ];
+  return booleanAttributes.includes(name.toLowerCase());
+}
+
+/**
+ * Check whether attribute names already follow the blocks2html output order
+ * (anything not in the canonical list is a globalAttr and comes last, in its own order;
+ * data-bind-* attributes come in their own order too)
+ * @param {Array} order - Attribute names in source order
+ * @returns {boolean}
+ */
+function isCanonicalOrder(order) {
+  const canonicalOrder = [
+    'data-block-name', 'id', 'class', 'loopSource', 'loopVariable',
+    'conditionalExpression', 'setVariable', 'setExpression', 'data-bind-*',
+    'data-lock', 'data-template-lock', 'data-allowed-blocks',
+  ];
+  const rank = name => {
+    const index = canonicalOrder.indexOf(name.startsWith('data-bind-') ? 'data-bind-*' : name);
+    return index === -1 ? canonicalOrder.length : index;
+  };
+
+  return order.every((name, i) => i === 0 || rank(order[i - 1]) <= rank(name));
+}
+
+/**
+ * Parse a data-bind-* attribute value to a block binding
+ * "source:key" binds to a source with a key argument (core/post-meta:hero_image);
+ * source names have no colon, so the key is everything after the first one and may hold
+ * colons itself (acf/field:group:title). "acf/name" is shorthand for the ACF field source,
+ * a bare source has no arguments, and anything else can be written as the binding's JSON
+ * Must match formatBinding() in blocks2html.js for consistent roundtrip
+ * @param {string} value - Attribute value
+ * @param {Element} element - DOM element (for error messages)
+ * @param {string} attrName - Attribute name (for error messages)
+ * @returns {Object} Binding ({ source, args })
+ */
+function parseBinding(value, element, attrName) {
+  const trimmed = value.trim();
+
+  if (trimmed.startsWith('{')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`Invalid JSON in ${attrName} attribute of <${element.tagName.toLowerCase()}>`);
+    }
+  }
+
+  // Split on the source only: the first colon ends it
+  const separator = trimmed.indexOf(':');
+  if (separator !== -1) {
+    return { source: trimmed.slice(0, separator), args: { key: trimmed.slice(separator + 1) } };
+  }
+
+  const acfField = trimmed.match(/^acf\/(.+)$/);
+  if (acfField && acfField[1] !== 'field') {
+    return { source: 'acf/field', args: { key: acfField[1] } };
+  }
+
+  return { source: trimmed };
+}
+
+/**
+ * Parse a data-lock attribute value to the block lock attribute
+ * "move remove" locks both; JSON is accepted for explicit false values
+ * Only move and remove exist: other tokens are reported and left out
+ * Must match formatLock() in blocks2html.js for consistent roundtrip
+ * @param {string} value - Attribute value
+ * @param {Element} element - DOM element (for error messages)
+ * @returns {Object} Lock ({ move, remove })
+ */
+function parseLock(value, element) {
+  const trimmed = value.trim();
+  const tagName = element.tagName.toLowerCase();
+  let entries;
+
+  if (trimmed.startsWith('{')) {
+    try {
+      entries = Object.entries(JSON.parse(trimmed));
+    } catch (e) {
+      throw new Error(`Invalid JSON in data-lock attribute of <${tagName}>`);
+    }
+  } else {
+    entries = trimmed.split(/\s+/).filter(Boolean).map(name => [name, true]);
+  }
+
+  const lock = {};
+  entries.forEach(([name, locked]) => {
+    if (!['move', 'remove'].includes(name) || typeof locked !== 'boolean') {
+      console.warn(`Warning: ignoring unknown lock "${name}" in data-lock of <${tagName}> (use move and/or remove)`);
+      return;
+    }
+    lock[name] = locked;
+  });
+  return lock;
+}
+
+/**
+ * Parse a data-template-lock attribute value to the block templateLock attribute
+ * Values other than the core ones are reported and left out
+ * @param {string} value - Attribute value
+ * @param {Element} element - DOM element (for error messages)
+ * @returns {string|boolean|undefined} Template lock, or undefined if the value is unknown
+ */
+function parseTemplateLock(value, element) {
+  const templateLocks = ['all', 'insert', 'contentOnly', 'false'];
+  const trimmed = value.trim();
+
+  if (!templateLocks.includes(trimmed)) {
+    console.warn(
+      `Warning: ignoring unknown data-template-lock "${trimmed}" of <${element.tagName.toLowerCase()}> ` +
+        `(use ${templateLocks.join(', ')})`
+    );
+    return undefined;
+  }
+
+  return trimmed === 'false' ? false : trimmed;
+}
+
 /**
  * Get all attributes from an element
  * @param {Element} element - DOM element
- * @returns {Object} Object with className, globalAttrs, blockName, and Twig control attributes
+ * @param {Object} settings - Resolved conversion options
+ * @returns {Object} Object with className, globalAttrs, blockName, anchor, bindings, locking, attributeOrder, and Twig control attributes
  */
-function getAttributes(element) {
+function getAttributes(element, settings = {}) {
   const attrs = {};
+  const bindings = {};
+  const locking = {};
   let className = '';
   let blockName = '';
+  let anchor = '';
+  // Output attribute names in source order (for diff-friendly roundtrips)
+  const order = [];
   const twigAttrs = {};
 
   // Twig control attribute names (lowercase for matching)
@@ -219,18 +815,54 @@ function getAttributes(element) {
     // Handle class separately for WordPress className
     if (attr.name === 'class') {
       className = decodedValue;
+      order.push('class');
     }
-    // Extract block name from data-block-name or id (don't add to globalAttrs)
-    else if (attr.name === 'data-block-name' || attr.name === 'data-block-id' || attr.name === 'id') {
+    // Extract block name from data-block-name (don't add to globalAttrs)
+    else if (attr.name === 'data-block-name' || attr.name === 'data-block-id') {
       blockName = decodedValue;
+      order.push('data-block-name');
     }
-    // Skip style attribute completely
+    // Carry id as the WordPress anchor so in-page #links keep working
+    else if (attr.name === 'id') {
+      anchor = decodedValue;
+      order.push('id');
+    }
+    // Store style as data-style so the editor preview isn't affected (blocks2html restores it)
     else if (attr.name === 'style') {
-      // Ignore style attribute
+      if (settings.style !== 'strip') {
+        attrs['data-style'] = decodedValue;
+        order.push('style');
+      }
+    }
+    // Block bindings: data-bind-content="acf/hero_title" -> metadata.bindings.content
+    else if (attrNameLower.startsWith('data-bind-') && attrNameLower.length > 'data-bind-'.length) {
+      bindings[attrNameLower.slice('data-bind-'.length)] = parseBinding(decodedValue, element, attr.name);
+      order.push(attrNameLower);
+    }
+    // Locking: data-lock="move remove" -> lock, data-template-lock -> templateLock
+    else if (attrNameLower === 'data-lock') {
+      const lock = parseLock(decodedValue, element);
+      if (Object.keys(lock).length > 0) {
+        locking.lock = lock;
+        order.push('data-lock');
+      }
+    }
+    else if (attrNameLower === 'data-template-lock') {
+      const templateLock = parseTemplateLock(decodedValue, element);
+      if (templateLock !== undefined) {
+        locking.templateLock = templateLock;
+        order.push('data-template-lock');
+      }
+    }
+    // Allowed inner blocks: data-allowed-blocks="universal/element,core/paragraph"
+    else if (attrNameLower === 'data-allowed-blocks') {
+      locking.allowedBlocks = decodedValue.split(',').map(name => name.trim()).filter(Boolean);
+      order.push('data-allowed-blocks');
     }
     // Extract Twig control attributes separately (match lowercase to camelCase)
     else if (twigControlAttrs[attrNameLower]) {
       const camelCaseName = twigControlAttrs[attrNameLower];
+      order.push(camelCaseName);
       // Convert conditionalVisibility to boolean
       if (camelCaseName === 'conditionalVisibility') {
         twigAttrs[camelCaseName] = decodedValue === 'true' || decodedValue === '1';
@@ -238,13 +870,25 @@ function getAttributes(element) {
         twigAttrs[camelCaseName] = decodedValue;
       }
     }
-    // All other attributes go to globalAttrs
+    // Boolean attributes only need presence (required="required" -> required)
+    else if (
+      isBooleanAttribute(attrNameLower) &&
+      (decodedValue === '' || decodedValue.toLowerCase() === attrNameLower)
+    ) {
+      attrs[attr.name] = '';
+      order.push(attr.name);
+    }
+    // All other attributes go to globalAttrs (empty values like alt="" are kept)
     else {
       attrs[attr.name] = decodedValue;
+      order.push(attr.name);
     }
   });
 
-  return { className, globalAttrs: attrs, blockName, ...twigAttrs };
+  // Only record the order when blocks2html wouldn't reproduce it on its own
+  const attributeOrder = isCanonicalOrder(order) ? [] : order;
+
+  return { className, globalAttrs: attrs, blockName, anchor, bindings, locking, attributeOrder, ...twigAttrs };
 }
 
 /**
@@ -252,7 +896,7 @@ function getAttributes(element) {
  * @param {string} tagName - HTML tag name
  * @param {string} contentType - Content type (blocks, text, html, empty)
  * @param {string} content - Text/HTML content (for text/html type)
- * @param {Object} attributeData - Object with className, globalAttrs, and blockName
+ * @param {Object} attributeData - Object with className, globalAttrs, blockName, anchor, bindings, locking, and attributeOrder
  * @param {Array} innerBlocks - Child blocks (for blocks type)
  * @returns {Object} Block object
  */
@@ -261,6 +905,10 @@ function createBlock(tagName, contentType, content = '', attributeData = {}, inn
     className = '',
     globalAttrs = {},
     blockName = '',
+    anchor = '',
+    bindings = {},
+    locking = {},
+    attributeOrder = [],
     loopSource,
     loopVariable,
     conditionalVisibility,
@@ -283,6 +931,24 @@ function createBlock(tagName, contentType, content = '', attributeData = {}, inn
     block.attributes.metadata = { name: blockName };
   }
 
+  // Block bindings (post meta, ACF fields) live in metadata like in core blocks
+  if (bindings && Object.keys(bindings).length > 0) {
+    block.attributes.metadata = { ...block.attributes.metadata, bindings };
+  }
+
+  // Keep source attribute order in metadata (editor preserves unknown metadata keys)
+  if (attributeOrder && attributeOrder.length > 0) {
+    block.attributes.metadata = { ...block.attributes.metadata, attributeOrder };
+  }
+
+  // Add anchor (HTML id) if present
+  if (anchor) {
+    block.attributes.anchor = anchor;
+  }
+
+  // Add lock, templateLock and allowedBlocks as block attributes
+  Object.assign(block.attributes, locking);
+
   // Add globalAttrs only if there are actual attributes
   if (globalAttrs && Object.keys(globalAttrs).length > 0) {
     block.attributes.globalAttrs = globalAttrs;
@@ -322,6 +988,28 @@ function createBlock(tagName, contentType, content = '', attributeData = {}, inn
   return block;
 }
 
+/**
+ * Serialize block attributes for a block comment delimiter
+ * Escapes the same characters as the core block serializer, so attribute values
+ * can't end the comment early and still round-trip through parse_blocks()
+ * @param {Object} attributes - Block attributes
+ * @returns {string} JSON safe to place inside <!-- wp:... -->
+ */
+function serializeAttributes(attributes) {
+  return (
+    JSON.stringify(attributes)
+      // Don't break HTML comments
+      .replace(/--/g, '\\u002d\\u002d')
+      // Don't break non-standard-compliant tools
+      .replace(/</g, '\\u003c')
+      .replace(/>/g, '\\u003e')
+      .replace(/&/g, '\\u0026')
+      // Escaped quotes become \u0022; escaped backslashes are skipped so a
+      // value ending in a backslash doesn't lose its closing quote
+      .replace(/\\(\\|")/g, (escape, char) => (char === '"' ? '\\u0022' : escape))
+  );
+}
+
 /**
  * Generate WordPress block markup from block data
  * @param {Array} blocks - Array of block objects
@@ -333,14 +1021,23 @@ function generateBlockMarkup(blocks) {
   }
 
   const serializeBlock = block => {
-    const { name, attributes, innerBlocks } = block;
+    const { name, attributes, innerBlocks, innerContent } = block;
 
     // Serialize attributes to JSON
-    const attrsJson = Object.keys(attributes).length > 0 ? ' ' + JSON.stringify(attributes) : '';
+    const attrsJson = Object.keys(attributes).length > 0 ? ' ' + serializeAttributes(attributes) : '';
 
     // Check if block has inner blocks
     const hasInnerBlocks = innerBlocks && innerBlocks.length > 0;
 
+    // Static blocks (from <wp-block> passthrough) keep their saved HTML around inner blocks
+    if (Array.isArray(innerContent) && innerContent.length > 0) {
+      let index = 0;
+      const content = innerContent
+        .map(part => (part === null ? serializeBlock(innerBlocks[index++]) : part))
+        .join('');
+      return `<!-- wp:${name}${attrsJson} -->${content}<!-- /wp:${name} -->`;
+    }
+
     if (hasInnerBlocks) {
       // Self-closing comment with inner blocks
       const innerMarkup = innerBlocks.map(serializeBlock).join('\n');
@@ -376,6 +1073,11 @@ function insertBlocks(blocks) {
 
   // Recursively convert block data to WordPress blocks
   const convertBlockData = data => {
+    // Static blocks need their saved HTML parsed to recover sourced attributes
+    if (Array.isArray(data.innerContent) && data.innerContent.length > 0) {
+      return wp.blocks.parse(generateBlockMarkup([data]))[0];
+    }
+
     const innerBlocks =
       data.innerBlocks && data.innerBlocks.length > 0 ? data.innerBlocks.map(convertBlockData) : [];
     return createBlock(data.name, data.attributes, innerBlocks);
@@ -403,9 +1105,10 @@ if (typeof window !== 'undefined') {
   window.universal.html2blocks = html2blocks;
   window.universal.generateBlockMarkup = generateBlockMarkup;
   window.universal.insertBlocks = insertBlocks;
+  window.universal.readDirectives = readDirectives;
 }
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { html2blocks, generateBlockMarkup, insertBlocks };
+  module.exports = { html2blocks, generateBlockMarkup, insertBlocks, readDirectives };
 }
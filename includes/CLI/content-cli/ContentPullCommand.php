@@ -16,6 +16,16 @@ use WP_CLI;
 
 class ContentPullCommand {
 
+    /**
+     * Batch Node.js converter, started on first use
+     */
+    private $converter;
+
+    /**
+     * Number of posts that failed to convert
+     */
+    private $failed = 0;
+
     /**
      * Pull WordPress posts to markdown files
      *
@@ -82,6 +92,11 @@ class ContentPullCommand {
         }
 
         $file_path = $this->save_post_to_markdown($post, $content_dir);
+
+        if ($file_path === null) {
+            WP_CLI::error("Post {$post_id} failed to convert and was not written");
+        }
+
         WP_CLI::success("Pulled post {$post_id} to {$file_path}");
     }
 
@@ -102,11 +117,12 @@ class ContentPullCommand {
 
         $count = 0;
         foreach ($posts as $post) {
-            $this->save_post_to_markdown($post, $content_dir);
-            $count++;
+            if ($this->save_post_to_markdown($post, $content_dir) !== null) {
+                $count++;
+            }
         }
 
-        WP_CLI::success("Pulled {$count} {$post_type} posts");
+        $this->finish("Pulled {$count} {$post_type} posts");
     }
 
     /**
@@ -157,16 +173,29 @@ class ContentPullCommand {
             ]);
 
             foreach ($posts as $post) {
-                $this->save_post_to_markdown($post, $content_dir);
-                $total++;
+                if ($this->save_post_to_markdown($post, $content_dir) !== null) {
+                    $total++;
+                }
             }
         }
 
-        WP_CLI::success("Pulled {$total} posts total");
+        $this->finish("Pulled {$total} posts total");
+    }
+
+    /**
+     * Report success, or fail once every post has been pulled if any post failed
+     */
+    private function finish($message) {
+        if ($this->failed > 0) {
+            WP_CLI::error("{$message}, but {$this->failed} post(s) failed to convert and were not written");
+        }
+
+        WP_CLI::success($message);
     }
 
     /**
      * Convert post to markdown and save to file
+     * Returns the file path, or null when the content failed to convert
      */
     private function save_post_to_markdown($post, $content_dir) {
         // Create post type directory
@@ -186,7 +215,13 @@ class ContentPullCommand {
         $frontmatter = $this->build_frontmatter($post, $acf_fields);
 
         // Convert blocks to markdown
-        $content_markdown = $this->blocks_to_markdown($post->post_content);
+        $content_markdown = $this->blocks_to_markdown($post->post_content, "post {$post->ID} ({$post->post_name})");
+
+        // Leave the existing file alone when the content failed to convert
+        if ($content_markdown === null) {
+            $this->failed++;
+            return null;
+        }
 
         // Build markdown content
         $markdown = "---\n";
@@ -309,8 +344,9 @@ class ContentPullCommand {
 
     /**
      * Convert WordPress blocks to markdown
+     * Returns null when the conversion failed
      */
-    private function blocks_to_markdown($content) {
+    private function blocks_to_markdown($content, $context = '') {
         // Handle empty content
         if (empty($content)) {
             return '';
@@ -328,7 +364,11 @@ class ContentPullCommand {
         }
 
         // Use Node.js script to convert blocks to HTML (same logic as client-blocks2html.js)
-        $html = $this->blocks_to_html_via_node($formatted_blocks);
+        $html = $this->blocks_to_html_via_node($formatted_blocks, $context);
+
+        if ($html === null) {
+            return null;
+        }
 
         // Convert HTML to markdown
         return $this->html_to_markdown($html);
@@ -348,7 +388,10 @@ class ContentPullCommand {
             $formatted_block = [
                 'name' => $block['blockName'],
                 'attributes' => $block['attrs'] ?? [],
-                'innerBlocks' => []
+                'innerBlocks' => [],
+                // Saved HTML lets blocks without a custom element pass through as <wp-block>
+                'innerHTML' => $block['innerHTML'] ?? '',
+                'innerContent' => $block['innerContent'] ?? []
             ];
 
             // Recursively format inner blocks
@@ -366,54 +409,30 @@ class ContentPullCommand {
      * Convert blocks to HTML using Node.js server-blocks2html.js parser
      * This uses JSDOM to run client-blocks2html.js in Node.js environment
      * Avoids render_block() which executes/interprets content
+     * Runs in batch mode: every conversion of this command shares one Node process
+     * Returns null when the conversion failed (reported as a warning)
      */
-    private function blocks_to_html_via_node($blocks) {
-        $theme_dir = get_template_directory();
-        $script_path = $theme_dir . '/includes/CLI/parsers/server-blocks2html.js';
-
-        // Write blocks to temp file
-        $temp_file = tempnam(sys_get_temp_dir(), 'blocks_');
-        $json_content = json_encode($blocks, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
-        file_put_contents($temp_file, $json_content);
+    private function blocks_to_html_via_node($blocks, $context = '') {
+        if (!$this->converter) {
+            // Synced patterns are written as <Synced slug="..."> using this site's slug → ID map
+            $this->converter = new NodeConverter('server-blocks2html.js', ['syncedPatterns' => SyncedPatterns::manifest()]);
+        }
 
         // Debug: Save JSON for inspection
-        file_put_contents('/tmp/broke-cli-blocks.json', $json_content);
+        file_put_contents('/tmp/broke-cli-blocks.json', json_encode($blocks, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES));
         WP_CLI::debug("Saved blocks JSON to /tmp/broke-cli-blocks.json (" . count($blocks) . " blocks)", 'content-pull');
 
-        // Run Node.js parser (uses JSDOM to execute client-blocks2html.js)
-        $descriptorspec = [
-            0 => ['pipe', 'r'], // stdin
-            1 => ['pipe', 'w'], // stdout
-            2 => ['pipe', 'w'], // stderr
-        ];
+        $result = $this->converter->convert(['blocks' => $blocks]);
 
-        $process = proc_open(
-            "node " . escapeshellarg($script_path) . " " . escapeshellarg($temp_file),
-            $descriptorspec,
-            $pipes
-        );
-
-        if (is_resource($process)) {
-            $output = stream_get_contents($pipes[1]);
-            $error = stream_get_contents($pipes[2]);
-            fclose($pipes[1]);
-            fclose($pipes[2]);
-            $return_code = proc_close($process);
-
-            // Clean up temp file
-            unlink($temp_file);
-
-            // Check for actual parser errors (non-zero exit code or stderr output)
-            if ($return_code !== 0 || !empty($error)) {
-                WP_CLI::error("Parser error: " . $error);
-            }
-
-            // Allow empty output - it's valid when posts have no convertible content
-        } else {
-            unlink($temp_file);
-            WP_CLI::error("Failed to start Node.js parser");
+        // Report the failed post and let the caller carry on with the rest of the batch
+        if (isset($result['error'])) {
+            WP_CLI::warning("Parser error" . ($context ? " in {$context}" : '') . ": " . $result['error']);
+            return null;
         }
 
+        // Allow empty output - it's valid when posts have no convertible content
+        $output = $result['html'];
+
         // Debug: Save HTML for inspection
         file_put_contents('/tmp/broke-cli-parsed.html', $output);
         WP_CLI::debug("Saved parsed HTML to /tmp/broke-cli-parsed.html", 'content-pull');
@@ -12,6 +12,11 @@ use WP_CLI;
 
 class ContentPushCommand {
 
+    /**
+     * Batch Node.js converter, started on first use
+     */
+    private $converter;
+
     public function __invoke($args, $assoc_args) {
         $file = $args[0] ?? null;
         $post_type = $assoc_args['post_type'] ?? null;
@@ -241,45 +246,24 @@ class ContentPushCommand {
 
         WP_CLI::debug("HTML conversion complete. Length: " . strlen($html) . " bytes", 'content-push');
 
-        // Use Node.js html2blocks parser
-        $theme_dir = get_template_directory();
-        $parser_path = $theme_dir . '/includes/CLI/html2pattern-cli/src/parser.js';
-
-        if (!file_exists($parser_path)) {
-            WP_CLI::warning('html2blocks parser not found. Using basic conversion.');
-            return $this->basic_html_to_blocks($html);
+        // Use Node.js html2blocks parser, one batch process for every file of this command
+        if (!$this->converter) {
+            // <Synced slug="..."> resolves to this site's synced pattern IDs
+            $this->converter = new NodeConverter('server-html2blocks.js', ['syncedPatterns' => SyncedPatterns::manifest()]);
         }
 
-        // Create temp file for HTML
-        $temp_html = tempnam(sys_get_temp_dir(), 'html_');
-        file_put_contents($temp_html, $html);
+        $result = $this->converter->convert(['html' => $html]);
 
-        // Run Node.js parser
-        $node_script = <<<JS
-const { html2blocks, generateBlockMarkup } = require('{$parser_path}');
-const fs = require('fs');
-const html = fs.readFileSync('{$temp_html}', 'utf8');
-const blocks = html2blocks(html);
-const markup = generateBlockMarkup(blocks, { doubleEscape: true });
-console.log(markup);
-JS;
-
-        $temp_script = tempnam(sys_get_temp_dir(), 'script_') . '.js';
-        file_put_contents($temp_script, $node_script);
+        // Fail before the post is saved: a fallback conversion would store broken content,
+        // e.g. for a <Synced slug="..."> that doesn't exist in this site
+        if (isset($result['error'])) {
+            WP_CLI::error("html2blocks conversion failed: {$result['error']}");
+        }
 
-        $output = shell_exec("node {$temp_script} 2>&1");
+        $output = $result['markup'];
 
         WP_CLI::debug("Node.js parser output length: " . strlen($output) . " bytes", 'content-push');
 
-        // Cleanup
-        unlink($temp_html);
-        unlink($temp_script);
-
-        if (empty($output)) {
-            WP_CLI::warning('html2blocks conversion failed. Using basic conversion.');
-            return $this->basic_html_to_blocks($html);
-        }
-
         WP_CLI::debug("Successfully converted HTML to blocks", 'content-push');
 
         return trim($output);
@@ -296,33 +280,14 @@ JS;
         return $html;
     }
 
-    private function basic_html_to_blocks($html) {
-        $blocks = '';
-        $lines = explode("\n", $html);
-
-        foreach ($lines as $line) {
-            $line = trim($line);
-            if (empty($line)) continue;
-
-            if (preg_match('/^<h([1-6])>(.+)<\/h[1-6]>$/', $line, $matches)) {
-                $blocks .= "<!-- wp:heading -->\n{$line}\n<!-- /wp:heading -->\n\n";
-            } elseif (preg_match('/^<p>(.+)<\/p>$/', $line)) {
-                $blocks .= "<!-- wp:paragraph -->\n{$line}\n<!-- /wp:paragraph -->\n\n";
-            } else {
-                $blocks .= "<!-- wp:paragraph -->\n<p>{$line}</p>\n<!-- /wp:paragraph -->\n\n";
-            }
-        }
-
-        return trim($blocks);
-    }
-
     private function create_post($parsed) {
         $frontmatter = $parsed['frontmatter'];
 
         $post_data = [
             'post_title' => $frontmatter['title'] ?? 'Untitled',
             'post_name' => $frontmatter['slug'] ?? '',
-            'post_content' => $parsed['content'],
+            // wp_slash keeps backslashes in block attribute JSON
+            'post_content' => wp_slash($parsed['content']),
             'post_status' => $frontmatter['status'] ?? 'draft',
             'post_type' => $parsed['post_type'],
             'post_author' => isset($frontmatter['author']) ? (int)$frontmatter['author'] : 1,
@@ -347,7 +312,8 @@ JS;
             'ID' => $post_id,
             'post_title' => $frontmatter['title'] ?? '',
             'post_name' => $frontmatter['slug'] ?? '',
-            'post_content' => $parsed['content'],
+            // wp_slash keeps backslashes in block attribute JSON
+            'post_content' => wp_slash($parsed['content']),
             'post_status' => $frontmatter['status'] ?? 'draft',
             'post_excerpt' => isset($frontmatter['excerpt']) && is_string($frontmatter['excerpt']) ? $frontmatter['excerpt'] : '',
         ];
@@ -7,6 +7,8 @@ if (!defined('WP_CLI') || !WP_CLI) {
     return;
 }
 
+require_once __DIR__ . '/../SyncedPatterns.php';
+require_once __DIR__ . '/../NodeConverter.php';
 require_once __DIR__ . '/ContentPullCommand.php';
 require_once __DIR__ . '/ContentPushCommand.php';
 
@@ -12,6 +12,9 @@ module.exports = {
   // WordPress core block name
   blockName: 'core/post-content',
 
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: ['class'],
+
   /**
    * Convert HTML <Content> element to core/post-content block
    * @param {Element} element - DOM element
@@ -0,0 +1,80 @@
+/**
+ * FeaturedImage Custom Element Handler
+ *
+ * Handles bidirectional conversion between <FeaturedImage> HTML elements
+ * and core/post-featured-image WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  sizeSlug: 'string',
+  isLink: 'boolean',
+  linkTarget: 'string',
+  rel: 'string',
+  aspectRatio: 'string',
+  width: 'string',
+  height: 'string',
+  scale: 'string'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'FeaturedImage',
+
+  // WordPress core block name
+  blockName: 'core/post-featured-image',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <FeaturedImage> element to core/post-featured-image block
+   * @param {Element} element - DOM element
+   * @returns {Object} Block object
+   */
+  toBlock: (element) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    return {
+      name: 'core/post-featured-image',
+      attributes,
+      innerBlocks: []
+    };
+  },
+
+  /**
+   * Convert core/post-featured-image block to HTML <FeaturedImage> element
+   * @param {Object} block - Block object
+   * @returns {string} HTML string
+   */
+  toHTML: (block) => {
+    const attrs = block.attributes || {};
+    const parts = ['<FeaturedImage'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('></FeaturedImage>');
+    return parts.join('');
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * If Custom Element Handler
+ *
+ * Handles bidirectional conversion between <if> HTML elements
+ * and the conditionalExpression Twig attribute of universal/element blocks
+ */
+
+const { applyControl, withoutAttributes } = require('./twig-control');
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'if',
+
+  // Twig control attribute this element maps to
+  controls: 'conditionalExpression',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: ['condition'],
+
+  /**
+   * Convert HTML <if> element to a universal/element block with conditionalExpression
+   * @param {Element} element - DOM element
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.parseChildren - Parse child nodes to blocks
+   * @param {Object} helpers.options - Conversion options
+   * @returns {Object} Block object
+   */
+  toBlock: (element, helpers) => {
+    const attributes = {
+      conditionalVisibility: true,
+      conditionalExpression: element.getAttribute('condition') || '',
+    };
+
+    return applyControl(element, helpers, attributes, 'conditionalExpression');
+  },
+
+  /**
+   * Convert a block with conditionalExpression to an <if> element wrapping the block
+   * @param {Object} block - Block object
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.render - Render a block to HTML
+   * @returns {string} HTML string
+   */
+  toHTML: (block, { render }) => {
+    const attrs = block.attributes || {};
+    const parts = ['<if'];
+
+    parts.push(` condition="${escapeAttribute(attrs.conditionalExpression)}"`);
+
+    parts.push('>');
+    parts.push(render(withoutAttributes(block, ['conditionalVisibility', 'conditionalExpression'])));
+    parts.push('</if>');
+    return parts.join('');
+  }
+};
+
+/**
+ * Escape HTML attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  if (typeof value !== 'string') {
+    value = String(value);
+  }
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,81 @@
+/**
+ * Loop Custom Element Handler
+ *
+ * Handles bidirectional conversion between <loop> HTML elements
+ * and the loopSource/loopVariable Twig attributes of universal/element blocks
+ */
+
+const { applyControl, withoutAttributes } = require('./twig-control');
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'loop',
+
+  // Twig control attribute this element maps to
+  controls: 'loopSource',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: ['source', 'as'],
+
+  /**
+   * Convert HTML <loop> element to a universal/element block with loopSource
+   * @param {Element} element - DOM element
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.parseChildren - Parse child nodes to blocks
+   * @param {Object} helpers.options - Conversion options
+   * @returns {Object} Block object
+   */
+  toBlock: (element, helpers) => {
+    const attributes = {
+      loopSource: element.getAttribute('source') || '',
+    };
+
+    // Extract loop variable (defaults to "item")
+    const as = element.getAttribute('as');
+    if (as && as !== 'item') {
+      attributes.loopVariable = as;
+    }
+
+    return applyControl(element, helpers, attributes, 'loopSource');
+  },
+
+  /**
+   * Convert a block with loopSource to a <loop> element wrapping the block
+   * @param {Object} block - Block object
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.render - Render a block to HTML
+   * @returns {string} HTML string
+   */
+  toHTML: (block, { render }) => {
+    const attrs = block.attributes || {};
+    const parts = ['<loop'];
+
+    parts.push(` source="${escapeAttribute(attrs.loopSource)}"`);
+
+    if (attrs.loopVariable && attrs.loopVariable !== 'item') {
+      parts.push(` as="${escapeAttribute(attrs.loopVariable)}"`);
+    }
+
+    parts.push('>');
+    parts.push(render(withoutAttributes(block, ['loopSource', 'loopVariable'])));
+    parts.push('</loop>');
+    return parts.join('');
+  }
+};
+
+/**
+ * Escape HTML attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  if (typeof value !== 'string') {
+    value = String(value);
+  }
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,87 @@
+/**
+ * Navigation Custom Element Handler
+ *
+ * Handles bidirectional conversion between <Navigation> HTML elements
+ * and core/navigation WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  renderInnerBlocks,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  ref: 'number',
+  overlayMenu: 'string',
+  hasIcon: 'boolean',
+  icon: 'string',
+  openSubmenusOnClick: 'boolean',
+  showSubmenuIcon: 'boolean',
+  maxNestingLevel: 'number'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'Navigation',
+
+  // WordPress core block name
+  blockName: 'core/navigation',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <Navigation> element to core/navigation block
+   * @param {Element} element - DOM element
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.parseChildren - Parse child nodes to blocks
+   * @returns {Object} Block object
+   */
+  toBlock: (element, { parseChildren }) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    // Saved markup is just the inner blocks (the links of a menu without a ref)
+    return {
+      name: 'core/navigation',
+      attributes,
+      innerBlocks: parseChildren(element.childNodes)
+    };
+  },
+
+  /**
+   * Convert core/navigation block to HTML <Navigation> element
+   * @param {Object} block - Block object
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.renderChildren - Render blocks to HTML
+   * @returns {string} HTML string
+   */
+  toHTML: (block, { renderChildren }) => {
+    const attrs = block.attributes || {};
+    const parts = ['<Navigation'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Colors, layout and other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('>');
+    parts.push(renderInnerBlocks(block, renderChildren));
+    parts.push('</Navigation>');
+    return parts.join('');
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * NoResults Custom Element Handler
+ *
+ * Handles bidirectional conversion between <NoResults> HTML elements
+ * and core/query-no-results WordPress blocks
+ */
+
+const {
+  readExtraAttributes,
+  writeExtraAttributes,
+  without,
+  renderInnerBlocks,
+  escapeAttribute
+} = require('./block-element');
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'NoResults',
+
+  // WordPress core block name
+  blockName: 'core/query-no-results',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: ['class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <NoResults> element to core/query-no-results block
+   * @param {Element} element - DOM element
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.parseChildren - Parse child nodes to blocks
+   * @returns {Object} Block object
+   */
+  toBlock: (element, { parseChildren }) => {
+    const attributes = readExtraAttributes(element);
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    // Saved markup is just the inner blocks
+    return {
+      name: 'core/query-no-results',
+      attributes,
+      innerBlocks: parseChildren(element.childNodes)
+    };
+  },
+
+  /**
+   * Convert core/query-no-results block to HTML <NoResults> element
+   * @param {Object} block - Block object
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.renderChildren - Render blocks to HTML
+   * @returns {string} HTML string
+   */
+  toHTML: (block, { renderChildren }) => {
+    const attrs = block.attributes || {};
+    const parts = ['<NoResults'];
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, ['className'])));
+
+    parts.push('>');
+    parts.push(renderInnerBlocks(block, renderChildren));
+    parts.push('</NoResults>');
+    return parts.join('');
+  }
+};
@@ -0,0 +1,82 @@
+/**
+ * Pagination Custom Element Handler
+ *
+ * Handles bidirectional conversion between <Pagination> HTML elements
+ * and core/query-pagination WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  renderInnerBlocks,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  paginationArrow: 'string',
+  showLabel: 'boolean'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'Pagination',
+
+  // WordPress core block name
+  blockName: 'core/query-pagination',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <Pagination> element to core/query-pagination block
+   * @param {Element} element - DOM element
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.parseChildren - Parse child nodes to blocks
+   * @returns {Object} Block object
+   */
+  toBlock: (element, { parseChildren }) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    // Saved markup is just the inner blocks (previous/numbers/next)
+    return {
+      name: 'core/query-pagination',
+      attributes,
+      innerBlocks: parseChildren(element.childNodes)
+    };
+  },
+
+  /**
+   * Convert core/query-pagination block to HTML <Pagination> element
+   * @param {Object} block - Block object
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.renderChildren - Render blocks to HTML
+   * @returns {string} HTML string
+   */
+  toHTML: (block, { renderChildren }) => {
+    const attrs = block.attributes || {};
+    const parts = ['<Pagination'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Layout and other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('>');
+    parts.push(renderInnerBlocks(block, renderChildren));
+    parts.push('</Pagination>');
+    return parts.join('');
+  }
+};
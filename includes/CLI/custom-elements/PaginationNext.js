@@ -0,0 +1,73 @@
+/**
+ * PaginationNext Custom Element Handler
+ *
+ * Handles bidirectional conversion between <PaginationNext> HTML elements
+ * and core/query-pagination-next WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  label: 'string'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'PaginationNext',
+
+  // WordPress core block name
+  blockName: 'core/query-pagination-next',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <PaginationNext> element to core/query-pagination-next block
+   * @param {Element} element - DOM element
+   * @returns {Object} Block object
+   */
+  toBlock: (element) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    return {
+      name: 'core/query-pagination-next',
+      attributes,
+      innerBlocks: []
+    };
+  },
+
+  /**
+   * Convert core/query-pagination-next block to HTML <PaginationNext> element
+   * @param {Object} block - Block object
+   * @returns {string} HTML string
+   */
+  toHTML: (block) => {
+    const attrs = block.attributes || {};
+    const parts = ['<PaginationNext'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('></PaginationNext>');
+    return parts.join('');
+  }
+};
@@ -0,0 +1,73 @@
+/**
+ * PaginationNumbers Custom Element Handler
+ *
+ * Handles bidirectional conversion between <PaginationNumbers> HTML elements
+ * and core/query-pagination-numbers WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  midSize: 'number'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'PaginationNumbers',
+
+  // WordPress core block name
+  blockName: 'core/query-pagination-numbers',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <PaginationNumbers> element to core/query-pagination-numbers block
+   * @param {Element} element - DOM element
+   * @returns {Object} Block object
+   */
+  toBlock: (element) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    return {
+      name: 'core/query-pagination-numbers',
+      attributes,
+      innerBlocks: []
+    };
+  },
+
+  /**
+   * Convert core/query-pagination-numbers block to HTML <PaginationNumbers> element
+   * @param {Object} block - Block object
+   * @returns {string} HTML string
+   */
+  toHTML: (block) => {
+    const attrs = block.attributes || {};
+    const parts = ['<PaginationNumbers'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('></PaginationNumbers>');
+    return parts.join('');
+  }
+};
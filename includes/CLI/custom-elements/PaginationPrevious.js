@@ -0,0 +1,73 @@
+/**
+ * PaginationPrevious Custom Element Handler
+ *
+ * Handles bidirectional conversion between <PaginationPrevious> HTML elements
+ * and core/query-pagination-previous WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  label: 'string'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'PaginationPrevious',
+
+  // WordPress core block name
+  blockName: 'core/query-pagination-previous',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <PaginationPrevious> element to core/query-pagination-previous block
+   * @param {Element} element - DOM element
+   * @returns {Object} Block object
+   */
+  toBlock: (element) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    return {
+      name: 'core/query-pagination-previous',
+      attributes,
+      innerBlocks: []
+    };
+  },
+
+  /**
+   * Convert core/query-pagination-previous block to HTML <PaginationPrevious> element
+   * @param {Object} block - Block object
+   * @returns {string} HTML string
+   */
+  toHTML: (block) => {
+    const attrs = block.attributes || {};
+    const parts = ['<PaginationPrevious'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('></PaginationPrevious>');
+    return parts.join('');
+  }
+};
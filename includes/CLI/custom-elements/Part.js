@@ -12,6 +12,9 @@ module.exports = {
   // WordPress core block name
   blockName: 'core/template-part',
 
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: ['slug', 'theme', 'class'],
+
   /**
    * Convert HTML <Part> element to core/template-part block
    * @param {Element} element - DOM element
@@ -12,6 +12,9 @@ module.exports = {
   // WordPress core block name
   blockName: 'core/pattern',
 
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: ['slug', 'category', 'class'],
+
   /**
    * Convert HTML <Pattern> element to core/pattern block
    * @param {Element} element - DOM element
@@ -0,0 +1,76 @@
+/**
+ * PostDate Custom Element Handler
+ *
+ * Handles bidirectional conversion between <PostDate> HTML elements
+ * and core/post-date WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  format: 'string',
+  displayType: 'string',
+  isLink: 'boolean',
+  textAlign: 'string'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'PostDate',
+
+  // WordPress core block name
+  blockName: 'core/post-date',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <PostDate> element to core/post-date block
+   * @param {Element} element - DOM element
+   * @returns {Object} Block object
+   */
+  toBlock: (element) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    return {
+      name: 'core/post-date',
+      attributes,
+      innerBlocks: []
+    };
+  },
+
+  /**
+   * Convert core/post-date block to HTML <PostDate> element
+   * @param {Object} block - Block object
+   * @returns {string} HTML string
+   */
+  toHTML: (block) => {
+    const attrs = block.attributes || {};
+    const parts = ['<PostDate'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('></PostDate>');
+    return parts.join('');
+  }
+};
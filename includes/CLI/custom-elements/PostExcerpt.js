@@ -0,0 +1,76 @@
+/**
+ * PostExcerpt Custom Element Handler
+ *
+ * Handles bidirectional conversion between <PostExcerpt> HTML elements
+ * and core/post-excerpt WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  excerptLength: 'number',
+  moreText: 'string',
+  showMoreOnNewLine: 'boolean',
+  textAlign: 'string'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'PostExcerpt',
+
+  // WordPress core block name
+  blockName: 'core/post-excerpt',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <PostExcerpt> element to core/post-excerpt block
+   * @param {Element} element - DOM element
+   * @returns {Object} Block object
+   */
+  toBlock: (element) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    return {
+      name: 'core/post-excerpt',
+      attributes,
+      innerBlocks: []
+    };
+  },
+
+  /**
+   * Convert core/post-excerpt block to HTML <PostExcerpt> element
+   * @param {Object} block - Block object
+   * @returns {string} HTML string
+   */
+  toHTML: (block) => {
+    const attrs = block.attributes || {};
+    const parts = ['<PostExcerpt'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('></PostExcerpt>');
+    return parts.join('');
+  }
+};
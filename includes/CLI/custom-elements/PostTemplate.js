@@ -0,0 +1,72 @@
+/**
+ * PostTemplate Custom Element Handler
+ *
+ * Handles bidirectional conversion between <PostTemplate> HTML elements
+ * and core/post-template WordPress blocks
+ */
+
+const {
+  readExtraAttributes,
+  writeExtraAttributes,
+  without,
+  renderInnerBlocks,
+  escapeAttribute
+} = require('./block-element');
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'PostTemplate',
+
+  // WordPress core block name
+  blockName: 'core/post-template',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: ['class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <PostTemplate> element to core/post-template block
+   * @param {Element} element - DOM element
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.parseChildren - Parse child nodes to blocks
+   * @returns {Object} Block object
+   */
+  toBlock: (element, { parseChildren }) => {
+    const attributes = readExtraAttributes(element);
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    // Saved markup is just the inner blocks (the list is rendered on the server)
+    return {
+      name: 'core/post-template',
+      attributes,
+      innerBlocks: parseChildren(element.childNodes)
+    };
+  },
+
+  /**
+   * Convert core/post-template block to HTML <PostTemplate> element
+   * @param {Object} block - Block object
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.renderChildren - Render blocks to HTML
+   * @returns {string} HTML string
+   */
+  toHTML: (block, { renderChildren }) => {
+    const attrs = block.attributes || {};
+    const parts = ['<PostTemplate'];
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Layout and other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, ['className'])));
+
+    parts.push('>');
+    parts.push(renderInnerBlocks(block, renderChildren));
+    parts.push('</PostTemplate>');
+    return parts.join('');
+  }
+};
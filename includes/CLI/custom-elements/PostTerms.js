@@ -0,0 +1,77 @@
+/**
+ * PostTerms Custom Element Handler
+ *
+ * Handles bidirectional conversion between <PostTerms> HTML elements
+ * and core/post-terms WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  term: 'string',
+  separator: 'string',
+  prefix: 'string',
+  suffix: 'string',
+  textAlign: 'string'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'PostTerms',
+
+  // WordPress core block name
+  blockName: 'core/post-terms',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <PostTerms> element to core/post-terms block
+   * @param {Element} element - DOM element
+   * @returns {Object} Block object
+   */
+  toBlock: (element) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    return {
+      name: 'core/post-terms',
+      attributes,
+      innerBlocks: []
+    };
+  },
+
+  /**
+   * Convert core/post-terms block to HTML <PostTerms> element
+   * @param {Object} block - Block object
+   * @returns {string} HTML string
+   */
+  toHTML: (block) => {
+    const attrs = block.attributes || {};
+    const parts = ['<PostTerms'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('></PostTerms>');
+    return parts.join('');
+  }
+};
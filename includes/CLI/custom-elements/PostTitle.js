@@ -0,0 +1,77 @@
+/**
+ * PostTitle Custom Element Handler
+ *
+ * Handles bidirectional conversion between <PostTitle> HTML elements
+ * and core/post-title WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  level: 'number',
+  isLink: 'boolean',
+  linkTarget: 'string',
+  rel: 'string',
+  textAlign: 'string'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'PostTitle',
+
+  // WordPress core block name
+  blockName: 'core/post-title',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <PostTitle> element to core/post-title block
+   * @param {Element} element - DOM element
+   * @returns {Object} Block object
+   */
+  toBlock: (element) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    return {
+      name: 'core/post-title',
+      attributes,
+      innerBlocks: []
+    };
+  },
+
+  /**
+   * Convert core/post-title block to HTML <PostTitle> element
+   * @param {Object} block - Block object
+   * @returns {string} HTML string
+   */
+  toHTML: (block) => {
+    const attrs = block.attributes || {};
+    const parts = ['<PostTitle'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('></PostTitle>');
+    return parts.join('');
+  }
+};
@@ -0,0 +1,122 @@
+/**
+ * Query Custom Element Handler
+ *
+ * Handles bidirectional conversion between <Query> HTML elements
+ * and core/query WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  renderInnerBlocks,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  queryId: 'number',
+  tagName: 'string',
+  enhancedPagination: 'boolean'
+};
+
+// Query parameters (attributes.query) written as HTML attributes
+const QUERY_FIELDS = {
+  postType: 'string',
+  perPage: 'number',
+  pages: 'number',
+  offset: 'number',
+  order: 'string',
+  orderBy: 'string',
+  author: 'string',
+  search: 'string',
+  sticky: 'string',
+  inherit: 'boolean',
+  taxQuery: 'json',
+  exclude: 'json',
+  parents: 'json',
+  format: 'json'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'Query',
+
+  // WordPress core block name
+  blockName: 'core/query',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), ...Object.keys(QUERY_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <Query> element to core/query block
+   * @param {Element} element - DOM element
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.parseChildren - Parse child nodes to blocks
+   * @returns {Object} Block object
+   */
+  toBlock: (element, { parseChildren }) => {
+    const extra = readExtraAttributes(element);
+    const attributes = { ...extra, ...readAttributes(element, BLOCK_FIELDS) };
+
+    const query = { ...(extra.query || {}), ...readAttributes(element, QUERY_FIELDS) };
+    if (Object.keys(query).length > 0) {
+      attributes.query = query;
+    }
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    const innerBlocks = parseChildren(element.childNodes);
+
+    // core/query saves a wrapper element around its inner blocks
+    const tag = attributes.tagName || 'div';
+    const classes = ['wp-block-query', attributes.align && `align${attributes.align}`, attributes.className]
+      .filter(Boolean)
+      .join(' ');
+
+    return {
+      name: 'core/query',
+      attributes,
+      innerBlocks,
+      innerContent: [`<${tag} class="${classes}">`, ...innerBlocks.map(() => null), `</${tag}>`]
+    };
+  },
+
+  /**
+   * Convert core/query block to HTML <Query> element
+   * @param {Object} block - Block object
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.renderChildren - Render blocks to HTML
+   * @returns {string} HTML string
+   */
+  toHTML: (block, { renderChildren }) => {
+    const attrs = block.attributes || {};
+    const query = attrs.query || {};
+    const parts = ['<Query'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+    parts.push(writeAttributes(query, QUERY_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Everything else (layout, namespace, unmapped query parameters) round-trips as JSON
+    const extra = without(attrs, [...Object.keys(BLOCK_FIELDS), 'query', 'className']);
+    const extraQuery = without(query, Object.keys(QUERY_FIELDS));
+    if (Object.keys(extraQuery).length > 0) {
+      extra.query = extraQuery;
+    }
+    parts.push(writeExtraAttributes(extra));
+
+    parts.push('>');
+    parts.push(renderInnerBlocks(block, renderChildren));
+    parts.push('</Query>');
+    return parts.join('');
+  }
+};
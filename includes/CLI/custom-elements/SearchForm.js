@@ -0,0 +1,80 @@
+/**
+ * SearchForm Custom Element Handler
+ *
+ * Handles bidirectional conversion between <SearchForm> HTML elements
+ * and core/search WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  label: 'string',
+  showLabel: 'boolean',
+  placeholder: 'string',
+  buttonText: 'string',
+  buttonPosition: 'string',
+  buttonUseIcon: 'boolean',
+  width: 'number',
+  widthUnit: 'string'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'SearchForm',
+
+  // WordPress core block name
+  blockName: 'core/search',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <SearchForm> element to core/search block
+   * @param {Element} element - DOM element
+   * @returns {Object} Block object
+   */
+  toBlock: (element) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    return {
+      name: 'core/search',
+      attributes,
+      innerBlocks: []
+    };
+  },
+
+  /**
+   * Convert core/search block to HTML <SearchForm> element
+   * @param {Object} block - Block object
+   * @returns {string} HTML string
+   */
+  toHTML: (block) => {
+    const attrs = block.attributes || {};
+    const parts = ['<SearchForm'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('></SearchForm>');
+    return parts.join('');
+  }
+};
@@ -0,0 +1,73 @@
+/**
+ * Set Custom Element Handler
+ *
+ * Handles bidirectional conversion between <set> HTML elements
+ * and the setVariable/setExpression Twig attributes of universal/element blocks
+ */
+
+const { applyControl, withoutAttributes } = require('./twig-control');
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'set',
+
+  // Twig control attribute this element maps to
+  controls: 'setVariable',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: ['name', 'value'],
+
+  /**
+   * Convert HTML <set> element to a universal/element block with setVariable
+   * @param {Element} element - DOM element
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.parseChildren - Parse child nodes to blocks
+   * @param {Object} helpers.options - Conversion options
+   * @returns {Object} Block object
+   */
+  toBlock: (element, helpers) => {
+    const attributes = {
+      setVariable: element.getAttribute('name') || '',
+      setExpression: element.getAttribute('value') || '',
+    };
+
+    return applyControl(element, helpers, attributes, 'setVariable');
+  },
+
+  /**
+   * Convert a block with setVariable to a <set> element wrapping the block
+   * @param {Object} block - Block object
+   * @param {Object} helpers - Converter helpers
+   * @param {Function} helpers.render - Render a block to HTML
+   * @returns {string} HTML string
+   */
+  toHTML: (block, { render }) => {
+    const attrs = block.attributes || {};
+    const parts = ['<set'];
+
+    parts.push(` name="${escapeAttribute(attrs.setVariable)}"`);
+    parts.push(` value="${escapeAttribute(attrs.setExpression || '')}"`);
+
+    parts.push('>');
+    parts.push(render(withoutAttributes(block, ['setVariable', 'setExpression'])));
+    parts.push('</set>');
+    return parts.join('');
+  }
+};
+
+/**
+ * Escape HTML attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  if (typeof value !== 'string') {
+    value = String(value);
+  }
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,76 @@
+/**
+ * SiteLogo Custom Element Handler
+ *
+ * Handles bidirectional conversion between <SiteLogo> HTML elements
+ * and core/site-logo WordPress blocks
+ */
+
+const {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  escapeAttribute
+} = require('./block-element');
+
+// Block attributes written as HTML attributes
+const BLOCK_FIELDS = {
+  width: 'number',
+  isLink: 'boolean',
+  linkTarget: 'string',
+  shouldSyncIcon: 'boolean'
+};
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'SiteLogo',
+
+  // WordPress core block name
+  blockName: 'core/site-logo',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: [...Object.keys(BLOCK_FIELDS), 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <SiteLogo> element to core/site-logo block
+   * @param {Element} element - DOM element
+   * @returns {Object} Block object
+   */
+  toBlock: (element) => {
+    const attributes = { ...readExtraAttributes(element), ...readAttributes(element, BLOCK_FIELDS) };
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    return {
+      name: 'core/site-logo',
+      attributes,
+      innerBlocks: []
+    };
+  },
+
+  /**
+   * Convert core/site-logo block to HTML <SiteLogo> element
+   * @param {Object} block - Block object
+   * @returns {string} HTML string
+   */
+  toHTML: (block) => {
+    const attrs = block.attributes || {};
+    const parts = ['<SiteLogo'];
+
+    parts.push(writeAttributes(attrs, BLOCK_FIELDS));
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, [...Object.keys(BLOCK_FIELDS), 'className'])));
+
+    parts.push('></SiteLogo>');
+    return parts.join('');
+  }
+};
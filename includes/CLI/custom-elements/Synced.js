@@ -0,0 +1,105 @@
+/**
+ * Synced Custom Element Handler
+ *
+ * Handles bidirectional conversion between <Synced> HTML elements
+ * and core/block (synced pattern) WordPress blocks
+ *
+ * The block's ref is a post ID that differs between sites, so the element
+ * names the pattern by slug and the syncedPatterns option (slug -> ID
+ * manifest of the target site) resolves it in both directions
+ */
+
+const {
+  readExtraAttributes,
+  writeExtraAttributes,
+  without,
+  escapeAttribute
+} = require('./block-element');
+
+module.exports = {
+  // Custom element tag name
+  tagName: 'Synced',
+
+  // WordPress core block name
+  blockName: 'core/block',
+
+  // HTML attributes the element reads (html2pattern lint reports any other)
+  attributes: ['slug', 'ref', 'class', 'data-block-attrs'],
+
+  /**
+   * Convert HTML <Synced> element to core/block block
+   * @param {Element} element - DOM element
+   * @param {Object} helpers - Converter helpers
+   * @param {Object} helpers.options - Conversion options (syncedPatterns manifest)
+   * @returns {Object} Block object
+   */
+  toBlock: (element, { options = {} } = {}) => {
+    const attributes = readExtraAttributes(element);
+    const manifest = options.syncedPatterns || {};
+
+    const slug = element.getAttribute('slug');
+    if (slug) {
+      if (!Object.prototype.hasOwnProperty.call(manifest, slug)) {
+        const known = Object.keys(manifest);
+        throw new Error(
+          `Synced pattern "${slug}" does not exist in this site` +
+            (known.length > 0 ? ` (known: ${known.join(', ')})` : ' (no synced patterns in the manifest)')
+        );
+      }
+      attributes.ref = Number(manifest[slug]);
+    } else if (element.hasAttribute('ref')) {
+      // Patterns missing from the manifest at pull time keep their raw ref
+      attributes.ref = Number(element.getAttribute('ref'));
+      console.warn(
+        `Warning: <Synced ref="${attributes.ref}"> uses a post ID, which differs between sites; use slug="..." instead`
+      );
+    } else {
+      throw new Error('<Synced> needs a slug attribute');
+    }
+
+    // Extract className
+    if (element.className) {
+      attributes.className = element.className;
+    }
+
+    return {
+      name: 'core/block',
+      attributes,
+      innerBlocks: []
+    };
+  },
+
+  /**
+   * Convert core/block block to HTML <Synced> element
+   * @param {Object} block - Block object
+   * @param {Object} helpers - Converter helpers
+   * @param {Object} helpers.options - Conversion options (syncedPatterns manifest)
+   * @returns {string} HTML string
+   */
+  toHTML: (block, { options = {} } = {}) => {
+    const attrs = block.attributes || {};
+    const manifest = options.syncedPatterns || {};
+    const parts = ['<Synced'];
+
+    const slug = Object.keys(manifest).find(key => Number(manifest[key]) === Number(attrs.ref));
+    if (slug) {
+      parts.push(` slug="${escapeAttribute(slug)}"`);
+    } else if (attrs.ref !== undefined) {
+      // The raw post ID only works on this site, so say so instead of writing it silently
+      console.warn(
+        `Warning: synced pattern ${attrs.ref} is not in the synced pattern manifest, writing <Synced ref="${attrs.ref}">`
+      );
+      parts.push(` ref="${escapeAttribute(attrs.ref)}"`);
+    }
+
+    if (attrs.className) {
+      parts.push(` class="${escapeAttribute(attrs.className)}"`);
+    }
+
+    // Pattern overrides (content) and other attributes round-trip as JSON
+    parts.push(writeExtraAttributes(without(attrs, ['ref', 'className'])));
+
+    parts.push('></Synced>');
+    return parts.join('');
+  }
+};
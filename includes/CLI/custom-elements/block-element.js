@@ -0,0 +1,181 @@
+/**
+ * Core Block Element Helpers
+ *
+ * Shared by handlers for core blocks whose attributes are written as HTML
+ * attributes (<Query postType="post" perPage="10">). Block attributes without
+ * an HTML attribute of their own round-trip through data-block-attrs JSON,
+ * the same attribute html2blocks uses for core blocks in core mode.
+ */
+
+/**
+ * Read block attributes from an element
+ * @param {Element} element - DOM element
+ * @param {Object} fields - Attribute name -> type ('string', 'number', 'boolean' or 'json')
+ * @returns {Object} Attributes present on the element
+ */
+function readAttributes(element, fields) {
+  const attributes = {};
+
+  Object.entries(fields).forEach(([name, type]) => {
+    if (!element.hasAttribute(name)) {
+      return;
+    }
+
+    const value = element.getAttribute(name);
+
+    switch (type) {
+      case 'number':
+        attributes[name] = Number(value);
+        break;
+
+      case 'boolean':
+        // Bare attribute means true; "false" is written out for attributes that default to true
+        attributes[name] = value !== 'false';
+        break;
+
+      case 'json':
+        attributes[name] = parseJson(element, name);
+        break;
+
+      default:
+        attributes[name] = value;
+    }
+  });
+
+  return attributes;
+}
+
+/**
+ * Read the block attributes stored in data-block-attrs
+ * @param {Element} element - DOM element
+ * @returns {Object} Attributes (empty if the element has none)
+ */
+function readExtraAttributes(element) {
+  return element.hasAttribute('data-block-attrs') ? parseJson(element, 'data-block-attrs') : {};
+}
+
+/**
+ * Write block attributes as HTML attributes
+ * @param {Object} attributes - Block attributes
+ * @param {Object} fields - Attribute name -> type ('string', 'number', 'boolean' or 'json')
+ * @returns {string} Attribute markup (each with a leading space)
+ */
+function writeAttributes(attributes, fields) {
+  return Object.entries(fields)
+    .filter(([name]) => attributes[name] !== undefined && attributes[name] !== null)
+    .map(([name, type]) => {
+      const value = attributes[name];
+
+      if (type === 'boolean') {
+        return value ? ` ${name}` : ` ${name}="false"`;
+      }
+
+      if (type === 'json') {
+        return ` ${name}='${encodeJson(value)}'`;
+      }
+
+      return ` ${name}="${escapeAttribute(value)}"`;
+    })
+    .join('');
+}
+
+/**
+ * Write the block attributes that have no HTML attribute of their own as data-block-attrs
+ * @param {Object} attributes - Remaining block attributes
+ * @returns {string} Attribute markup with leading space, or '' if there are none
+ */
+function writeExtraAttributes(attributes) {
+  const serialized = withoutComments(attributes);
+  return Object.keys(serialized).length > 0 ? ` data-block-attrs='${encodeJson(serialized)}'` : '';
+}
+
+/**
+ * Copy block attributes without the authored comments, which blocks2html writes
+ * as real comments around the element; metadata is dropped when nothing else is left
+ * Must match withoutComments() in client-blocks2html.js
+ * @param {Object} attributes - Block attributes
+ * @returns {Object} Attributes
+ */
+function withoutComments(attributes) {
+  if (!attributes.metadata) {
+    return attributes;
+  }
+
+  const { commentsBefore, commentsAfter, ...metadata } = attributes.metadata;
+  const { metadata: _metadata, ...rest } = attributes;
+  return Object.keys(metadata).length > 0 ? { ...rest, metadata } : rest;
+}
+
+/**
+ * Copy an object without the given keys
+ * @param {Object} object - Source object
+ * @param {Array} keys - Keys to leave out
+ * @returns {Object} Copy
+ */
+function without(object, keys) {
+  const copy = { ...object };
+  keys.forEach(key => delete copy[key]);
+  return copy;
+}
+
+/**
+ * Render inner blocks as element children, each on its own line
+ * @param {Object} block - Block object
+ * @param {Function} renderChildren - Render blocks to HTML
+ * @returns {string} HTML string ('' if the block has no inner blocks)
+ */
+function renderInnerBlocks(block, renderChildren) {
+  const innerBlocks = block.innerBlocks || [];
+  return innerBlocks.length > 0 ? `\n${renderChildren(innerBlocks)}\n` : '';
+}
+
+/**
+ * Parse a JSON attribute, naming the element in the error
+ * @param {Element} element - DOM element
+ * @param {string} name - Attribute name
+ * @returns {*} Parsed value
+ */
+function parseJson(element, name) {
+  try {
+    return JSON.parse(element.getAttribute(name));
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${name} attribute of <${element.tagName.toLowerCase()}>`);
+  }
+}
+
+/**
+ * Encode a value as JSON for a single-quoted attribute
+ * & and ' are written as JSON unicode escapes so they survive entity decoding
+ * @param {*} value - Value to encode
+ * @returns {string} JSON string
+ */
+function encodeJson(value) {
+  return JSON.stringify(value).replace(/&/g, '\\u0026').replace(/'/g, '\\u0027');
+}
+
+/**
+ * Escape HTML attribute value
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  if (typeof value !== 'string') {
+    value = String(value);
+  }
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+  readAttributes,
+  readExtraAttributes,
+  writeAttributes,
+  writeExtraAttributes,
+  without,
+  renderInnerBlocks,
+  escapeAttribute
+};
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Editor Bundle Builder for Custom Element Handlers
+ *
+ * Bundles the same handlers the CLI loads (built-in + src/extensions/elements/*.js)
+ * into _editor/custom-elements.js, which sets window.__customHandlers for the
+ * html2blocks/blocks2html converters running in the block editor.
+ *
+ * Handlers may only require() relative files - the bundle runs in the browser.
+ *
+ * Usage: node includes/CLI/custom-elements/build-editor.js [output-file]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getHandlerFiles } = require('./index');
+
+const DEFAULT_OUTPUT = path.resolve(__dirname, '../../../_editor/custom-elements.js');
+
+/**
+ * Collect a module and its relative dependencies
+ * @param {string} file - Absolute file path
+ * @param {Map} modules - Collected modules (file -> { id, source, deps })
+ * @returns {number} Module id
+ */
+function collectModule(file, modules) {
+  if (modules.has(file)) {
+    return modules.get(file).id;
+  }
+
+  const entry = { id: modules.size, source: fs.readFileSync(file, 'utf8'), deps: {} };
+  modules.set(file, entry);
+
+  const requirePattern = /require\(\s*['"]([^'"]+)['"]\s*\)/g;
+  let match;
+  while ((match = requirePattern.exec(entry.source)) !== null) {
+    const request = match[1];
+    if (!request.startsWith('.')) {
+      throw new Error(
+        `${path.relative(process.cwd(), file)} requires "${request}" - only relative files can be bundled for the editor`
+      );
+    }
+    entry.deps[request] = collectModule(require.resolve(request, { paths: [path.dirname(file)] }), modules);
+  }
+
+  return entry.id;
+}
+
+/**
+ * Build the editor bundle source
+ * @param {Object} options - Options passed to getHandlerFiles
+ * @returns {string} Browser script
+ */
+function buildEditorBundle(options = {}) {
+  const modules = new Map();
+  const registryId = collectModule(path.join(__dirname, 'registry.js'), modules);
+  const handlerIds = getHandlerFiles(options).map(file => ({
+    id: collectModule(file, modules),
+    source: path.relative(path.resolve(__dirname, '../../..'), file)
+  }));
+
+  const definitions = Array.from(modules.values())
+    .map(({ id, source, deps }) =>
+      `\t${id}: [function (module, exports, require) {\n${source}\n\t}, ${JSON.stringify(deps)}]`
+    )
+    .join(',\n');
+
+  return `/* Generated by includes/CLI/custom-elements/build-editor.js - do not edit */
+(function () {
+	var definitions = {
+${definitions}
+	};
+	var cache = {};
+
+	function load(id) {
+		if (!cache[id]) {
+			var module = (cache[id] = { exports: {} });
+			definitions[id][0](module, module.exports, function (request) {
+				return load(definitions[id][1][request]);
+			});
+		}
+		return cache[id].exports;
+	}
+
+	window.__customHandlers = load(${registryId}).createRegistry(
+		${JSON.stringify(handlerIds)}.map(function (entry) {
+			return { handler: load(entry.id), source: entry.source };
+		})
+	);
+})();
+`;
+}
+
+if (require.main === module) {
+  const output = path.resolve(process.argv[2] || DEFAULT_OUTPUT);
+
+  try {
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, buildEditorBundle());
+    console.log(`✓ Wrote ${path.relative(process.cwd(), output)}`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { buildEditorBundle };
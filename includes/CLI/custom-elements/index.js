@@ -1,35 +1,91 @@
 /**
  * Custom Element Handler Registry
  *
- * Loads all custom element handlers and provides lookup maps
+ * Loads the built-in handlers plus any theme handlers from
+ * src/extensions/elements/*.js and provides lookup maps
  * for bidirectional HTML ↔ Block conversion
  */
 
-const handlers = [
-  require('./Part'),
-  require('./Pattern'),
-  require('./Content')
+const fs = require('fs');
+const path = require('path');
+const { createRegistry } = require('./registry');
+
+// Built-in handlers
+const BUILT_IN_HANDLERS = [
+  'Part',
+  'Pattern',
+  'Content',
+  'Synced',
+
+  // Query loop
+  'Query',
+  'PostTemplate',
+  'Pagination',
+  'PaginationPrevious',
+  'PaginationNumbers',
+  'PaginationNext',
+  'NoResults',
+
+  // Post fields
+  'PostTitle',
+  'PostDate',
+  'FeaturedImage',
+  'PostExcerpt',
+  'PostTerms',
+
+  // Site
+  'Navigation',
+  'SiteLogo',
+  'SiteTitle',
+  'SearchForm',
+
+  // Twig controls (order = nesting order in blocks2html, outermost first)
+  'Set',
+  'If',
+  'Loop'
 ];
 
-// Build lookup maps for efficient access
-const byTagName = {}; // 'part' -> handler
-const byBlockName = {}; // 'core/template-part' -> handler
+// Theme-level handlers directory
+const THEME_ELEMENTS_DIR = path.resolve(__dirname, '../../../src/extensions/elements');
+
+/**
+ * Get the handler files to load, built-in handlers first
+ * @param {Object} options - Options
+ * @param {string} options.elementsDir - Theme handlers directory
+ * @returns {Array} Absolute file paths
+ */
+function getHandlerFiles(options = {}) {
+  const { elementsDir = THEME_ELEMENTS_DIR } = options;
+  const files = BUILT_IN_HANDLERS.map(name => path.join(__dirname, `${name}.js`));
 
-handlers.forEach(handler => {
-  // Tag names are case-insensitive in HTML
-  byTagName[handler.tagName.toLowerCase()] = handler;
+  if (elementsDir && fs.existsSync(elementsDir)) {
+    fs.readdirSync(elementsDir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(file => files.push(path.join(elementsDir, file)));
+  }
 
-  // Block names are case-sensitive
-  byBlockName[handler.blockName] = handler;
-});
+  return files;
+}
 
-module.exports = {
-  // Lookup by HTML tag name (lowercase)
-  byTagName,
+/**
+ * Load and validate all handlers
+ * @param {Object} options - Options (see getHandlerFiles)
+ * @returns {Object} Registry with byTagName, byBlockName, controls and handlers
+ */
+function loadRegistry(options = {}) {
+  return createRegistry(
+    getHandlerFiles(options).map(file => ({
+      handler: require(file),
+      source: path.relative(process.cwd(), file) || file
+    }))
+  );
+}
 
-  // Lookup by WordPress block name
-  byBlockName,
+module.exports = {
+  ...loadRegistry(),
 
-  // All handlers array (for iteration/debugging)
-  handlers
+  // Helpers for custom setups and the editor bundle
+  getHandlerFiles,
+  loadRegistry
 };
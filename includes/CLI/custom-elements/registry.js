@@ -0,0 +1,117 @@
+/**
+ * Custom Element Registry Builder
+ *
+ * Validates custom element handlers and builds the lookup maps used by
+ * html2blocks and blocks2html. Has no Node.js dependencies so the same code
+ * runs in the editor bundle.
+ */
+
+/**
+ * Validate a handler against the custom element contract
+ * { tagName, blockName | controls, toBlock, toHTML, attributes? }
+ * @param {Object} handler - Handler module exports
+ * @param {string} source - Where the handler came from (for error messages)
+ * @returns {void}
+ */
+function validateHandler(handler, source) {
+  const problems = [];
+
+  if (!handler || typeof handler !== 'object') {
+    throw new Error(`Invalid custom element handler in ${source}: module must export an object`);
+  }
+
+  if (typeof handler.tagName !== 'string' || !/^[a-zA-Z][a-zA-Z0-9-]*$/.test(handler.tagName)) {
+    problems.push('tagName must be a valid HTML tag name');
+  }
+
+  const hasBlockName = typeof handler.blockName === 'string' && handler.blockName !== '';
+  const hasControls = typeof handler.controls === 'string' && handler.controls !== '';
+  if (!hasBlockName && !hasControls) {
+    problems.push('blockName (or controls, for Twig control elements) is required');
+  }
+
+  if (typeof handler.toBlock !== 'function') {
+    problems.push('toBlock() must be a function');
+  }
+
+  if (typeof handler.toHTML !== 'function') {
+    problems.push('toHTML() must be a function');
+  }
+
+  if (
+    handler.attributes !== undefined &&
+    !(Array.isArray(handler.attributes) && handler.attributes.every(name => typeof name === 'string'))
+  ) {
+    problems.push('attributes must be an array of attribute names');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid custom element handler in ${source}: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Build the handler registry
+ * @param {Array} entries - Array of { handler, source } in load order
+ * @returns {Object} Registry with byTagName, byBlockName, controls and handlers
+ */
+function createRegistry(entries) {
+  const byTagName = {}; // 'part' -> handler
+  const byBlockName = {}; // 'core/template-part' -> handler
+  const controls = []; // handlers for Twig control attributes on universal/element
+  const sources = { tags: {}, blocks: {}, controls: {} };
+
+  entries.forEach(({ handler, source }) => {
+    validateHandler(handler, source);
+
+    // Tag names are case-insensitive in HTML
+    const tagName = handler.tagName.toLowerCase();
+    if (byTagName[tagName]) {
+      throw new Error(
+        `Custom element <${tagName}> is defined twice: ${sources.tags[tagName]} and ${source}`
+      );
+    }
+    byTagName[tagName] = handler;
+    sources.tags[tagName] = source;
+
+    // Block names are case-sensitive
+    if (handler.blockName) {
+      if (byBlockName[handler.blockName]) {
+        throw new Error(
+          `Block ${handler.blockName} is handled twice: ${sources.blocks[handler.blockName]} and ${source}`
+        );
+      }
+      byBlockName[handler.blockName] = handler;
+      sources.blocks[handler.blockName] = source;
+    }
+
+    if (handler.controls) {
+      if (sources.controls[handler.controls]) {
+        throw new Error(
+          `Attribute ${handler.controls} is controlled twice: ${sources.controls[handler.controls]} and ${source}`
+        );
+      }
+      controls.push(handler);
+      sources.controls[handler.controls] = source;
+    }
+  });
+
+  return {
+    // Lookup by HTML tag name (lowercase)
+    byTagName,
+
+    // Lookup by WordPress block name
+    byBlockName,
+
+    // Twig control handlers (<set>, <if>, <loop>)
+    controls,
+
+    // All handlers array (for iteration/debugging)
+    handlers: entries.map(({ handler }) => handler)
+  };
+}
+
+module.exports = {
+  validateHandler,
+  createRegistry
+};
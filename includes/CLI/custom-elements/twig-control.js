@@ -0,0 +1,104 @@
+/**
+ * Twig Control Element Helpers
+ *
+ * Shared by the <set>, <if> and <loop> handlers, which don't map to a block
+ * of their own but to Twig control attributes on universal/element blocks
+ */
+
+// Attributes that identify each control, in the order the Twig controls nest
+// (outermost first), as in the handler registry and the plugin's rendering
+const CONTROL_ORDER = ['setVariable', 'conditionalExpression', 'loopSource'];
+
+/**
+ * Apply Twig control attributes to a control element's children
+ * A single universal/element child takes the attributes directly when the control
+ * still nests outside the child's own controls (set, then if, then loop); anything
+ * else (several children, text, or a child with a control that nests at or outside
+ * this one) gets a wrapper block marked with metadata.controlWrapper, which
+ * blocks2html writes back as the children alone. Text is kept as written (contentType 'html') unless rich inline
+ * mode already keeps it as inline text blocks
+ * @param {Element} element - Control element (<set>, <if> or <loop>)
+ * @param {Object} helpers - Converter helpers
+ * @param {Function} helpers.parseChildren - Parse child nodes to blocks
+ * @param {Object} helpers.options - Conversion options
+ * @param {Object} controlAttributes - Twig attributes to apply
+ * @param {string} controlKey - Attribute that identifies the control (e.g. 'loopSource')
+ * @returns {Object} Block object
+ */
+function applyControl(element, { parseChildren, options = {} }, controlAttributes, controlKey) {
+  const hasText = Array.from(element.childNodes)
+    .some(node => node.nodeType === 3 && node.textContent.trim() !== '');
+
+  if (hasText && options.inline !== 'rich') {
+    return createWrapper('html', controlAttributes, {
+      content: element.innerHTML.replace(/\s+/g, ' ').trim(),
+    });
+  }
+
+  const blocks = parseChildren(element.childNodes);
+  const [first] = blocks;
+
+  if (
+    blocks.length === 1 &&
+    first.name === 'universal/element' &&
+    nestsOutside(controlKey, first.attributes)
+  ) {
+    return {
+      ...first,
+      attributes: { ...first.attributes, ...controlAttributes },
+    };
+  }
+
+  return createWrapper(blocks.length > 0 ? 'blocks' : 'empty', controlAttributes, {}, blocks);
+}
+
+/**
+ * Check that a control nests outside all controls already set on a block, so
+ * merging it into the block keeps the nesting the template was written with
+ * @param {string} controlKey - Attribute that identifies the control
+ * @param {Object} attributes - Block attributes
+ * @returns {boolean} True when the control can be merged into the block
+ */
+function nestsOutside(controlKey, attributes) {
+  const rank = CONTROL_ORDER.indexOf(controlKey);
+  return CONTROL_ORDER.every((key, index) => index > rank || !attributes[key]);
+}
+
+/**
+ * Create the wrapper block for control element children
+ * @param {string} contentType - Content type (html, blocks or empty)
+ * @param {Object} controlAttributes - Twig attributes to apply
+ * @param {Object} fields - Other block attributes (content)
+ * @param {Array} innerBlocks - Child blocks
+ * @returns {Object} Block object
+ */
+function createWrapper(contentType, controlAttributes, fields = {}, innerBlocks = []) {
+  return {
+    name: 'universal/element',
+    attributes: {
+      tagName: 'div',
+      contentType,
+      ...fields,
+      ...controlAttributes,
+      metadata: { controlWrapper: true },
+    },
+    innerBlocks,
+  };
+}
+
+/**
+ * Return a copy of the block without the given attributes
+ * @param {Object} block - Block object
+ * @param {Array} keys - Attribute names to remove
+ * @returns {Object} Block object
+ */
+function withoutAttributes(block, keys) {
+  const attributes = { ...block.attributes };
+  keys.forEach(key => delete attributes[key]);
+  return { ...block, attributes };
+}
+
+module.exports = {
+  applyControl,
+  withoutAttributes,
+};
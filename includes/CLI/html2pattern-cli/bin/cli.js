@@ -5,12 +5,17 @@
  * Convert HTML files to WordPress block patterns
  */
 
-const { Command } = require('commander');
+const { Command, Option } = require('commander');
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const { glob } = require('glob');
-const { convertHTMLToPattern } = require('../src/index');
+const {
+  convertHTMLToPattern,
+  convertPatternToHTML,
+  verifyRoundtrip,
+  lint,
+} = require('../src/index');
 
 const program = new Command();
 
@@ -37,6 +42,10 @@ program
   .option('--keywords <keywords>', 'Pattern keywords (comma-separated)')
   .option('--description <description>', 'Pattern description')
   .option('--viewport-width <width>', 'Viewport width for pattern preview', '1280')
+  .addOption(new Option('--style <policy>', 'Inline style policy').choices(['keep', 'strip']).default('keep'))
+  .addOption(new Option('--mode <mode>', 'Block mode').choices(['universal', 'core']).default('universal'))
+  .addOption(new Option('--inline <policy>', 'Mixed text + element content').choices(['html', 'rich']).default('html'))
+  .option('--synced-patterns <file>', 'Synced pattern manifest (JSON map of slug to post ID) for <Synced>')
   .action(async (input, options) => {
     try {
       const outputDir = options.output || './patterns';
@@ -77,6 +86,12 @@ program
         keywords: options.keywords ? options.keywords.split(',').map(k => k.trim()) : [],
         description: options.description,
         viewportWidth: parseInt(options.viewportWidth) || 1280,
+        style: options.style,
+        mode: options.mode,
+        inline: options.inline,
+        syncedPatterns: options.syncedPatterns
+          ? JSON.parse(fs.readFileSync(options.syncedPatterns, 'utf-8'))
+          : undefined,
       };
 
       for (const file of files) {
@@ -130,4 +145,232 @@ program
     }
   });
 
+/**
+ * Pattern2html Command - PHP Pattern Files to HTML
+ */
+program
+  .command('pattern2html')
+  .description('Convert WordPress PHP pattern files back to HTML source files')
+  .argument('<input>', 'Input PHP pattern file or directory')
+  .option('-o, --output <path>', 'Output directory (default: ./src/patterns)')
+  .option(
+    '-p, --pattern <pattern>',
+    'Glob pattern for PHP files (default: **/*.php)',
+    '**/*.php'
+  )
+  .option('--synced-patterns <file>', 'Synced pattern manifest (JSON map of slug to post ID) for <Synced>')
+  .option('--compat <version>', 'Output compatibility version: 1 self-closes empty elements, 2 writes <!-- empty -->', '2')
+  .option('-f, --force', 'Overwrite HTML files that already exist in the output directory')
+  .action(async (input, options) => {
+    try {
+      const outputDir = options.output || './src/patterns';
+      const stats = fs.statSync(input);
+
+      console.log(chalk.blue('🔄 Converting PHP Patterns to HTML...'));
+      console.log(chalk.gray(`Input: ${input}`));
+      console.log(chalk.gray(`Output: ${outputDir}\n`));
+
+      // Ensure output directory exists
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+
+      const files = stats.isDirectory()
+        ? await glob(path.join(input, options.pattern), { nodir: true })
+        : [input];
+
+      if (files.length === 0) {
+        console.log(chalk.yellow('⚠️  No PHP files found'));
+        return;
+      }
+
+      let successCount = 0;
+      let errorCount = 0;
+
+      const readerOptions = {
+        syncedPatterns: options.syncedPatterns
+          ? JSON.parse(fs.readFileSync(options.syncedPatterns, 'utf-8'))
+          : undefined,
+        compat: Number(options.compat),
+      };
+
+      for (const file of files) {
+        try {
+          const php = fs.readFileSync(file, 'utf-8');
+          const html = convertPatternToHTML(php, readerOptions);
+
+          const relativePath = stats.isDirectory()
+            ? path.relative(input, file)
+            : path.basename(file);
+          const outputFile = path.join(outputDir, relativePath.replace(/\.php$/, '.html'));
+
+          // Source HTML may have been edited since the pattern was built
+          if (fs.existsSync(outputFile) && !options.force) {
+            throw new Error(`${outputFile} already exists (use --force to overwrite it)`);
+          }
+
+          // Ensure output subdirectory exists
+          const outputSubdir = path.dirname(outputFile);
+          if (!fs.existsSync(outputSubdir)) {
+            fs.mkdirSync(outputSubdir, { recursive: true });
+          }
+
+          fs.writeFileSync(outputFile, html, 'utf-8');
+
+          console.log(
+            chalk.green('✓'),
+            chalk.gray(path.basename(file)),
+            '→',
+            chalk.cyan(path.basename(outputFile))
+          );
+
+          // PHP in the markup (translations, echo) is copied as text, it isn't run
+          if (html.includes('<?php')) {
+            console.log(chalk.yellow(`  ⚠️  ${path.basename(file)} contains PHP code, review the HTML by hand`));
+          }
+
+          successCount++;
+        } catch (error) {
+          console.log(chalk.red('✗'), chalk.gray(path.basename(file)), chalk.red(error.message));
+          errorCount++;
+        }
+      }
+
+      console.log();
+      console.log(chalk.green(`✅ Converted ${successCount} file(s)`));
+      if (errorCount > 0) {
+        console.log(chalk.red(`❌ ${errorCount} error(s)`));
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Verify Command - HTML → Blocks → HTML Roundtrip Check
+ */
+program
+  .command('verify')
+  .description('Check that HTML files survive the conversion to blocks and back unchanged')
+  .argument('<inputs...>', 'Input HTML files or directories')
+  .option(
+    '-p, --pattern <pattern>',
+    'Glob pattern for HTML files in directories (default: **/*.html)',
+    '**/*.html'
+  )
+  .addOption(new Option('--style <policy>', 'Inline style policy').choices(['keep', 'strip']).default('keep'))
+  .addOption(new Option('--mode <mode>', 'Block mode').choices(['universal', 'core']).default('universal'))
+  .addOption(new Option('--inline <policy>', 'Mixed text + element content').choices(['html', 'rich']).default('html'))
+  .option('--synced-patterns <file>', 'Synced pattern manifest (JSON map of slug to post ID) for <Synced>')
+  .action(async (inputs, options) => {
+    try {
+      console.log(chalk.blue('🔍 Verifying HTML roundtrip...\n'));
+
+      const files = [];
+      for (const input of inputs) {
+        if (fs.statSync(input).isDirectory()) {
+          files.push(...(await glob(path.join(input, options.pattern), { nodir: true })).sort());
+        } else {
+          files.push(input);
+        }
+      }
+
+      if (files.length === 0) {
+        console.log(chalk.yellow('⚠️  No HTML files found'));
+        return;
+      }
+
+      const verifyOptions = {
+        style: options.style,
+        mode: options.mode,
+        inline: options.inline,
+        syncedPatterns: options.syncedPatterns
+          ? JSON.parse(fs.readFileSync(options.syncedPatterns, 'utf-8'))
+          : undefined,
+      };
+
+      let failedCount = 0;
+
+      for (const file of files) {
+        try {
+          const { differences } = verifyRoundtrip(fs.readFileSync(file, 'utf-8'), verifyOptions);
+
+          if (differences.length === 0) {
+            console.log(chalk.green('✓'), chalk.gray(file));
+            continue;
+          }
+
+          console.log(chalk.red('✗'), chalk.gray(file), chalk.red(`${differences.length} difference(s)`));
+          differences.forEach(({ path: nodePath, message }) => {
+            console.log(`    ${chalk.cyan(nodePath)} ${message}`);
+          });
+        } catch (error) {
+          console.log(chalk.red('✗'), chalk.gray(file), chalk.red(error.message));
+        }
+        failedCount++;
+      }
+
+      console.log();
+      if (failedCount > 0) {
+        console.log(chalk.red(`❌ ${failedCount} of ${files.length} file(s) changed in the roundtrip`));
+        process.exit(1);
+      }
+      console.log(chalk.green(`✅ ${files.length} file(s) roundtrip unchanged`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Lint Command - Structural Checks Before Conversion
+ */
+program
+  .command('lint')
+  .description('Report markup the HTML parser repairs, unknown elements and attributes, and empty Twig controls')
+  .argument('<inputs...>', 'Input HTML files or directories')
+  .option(
+    '-p, --pattern <pattern>',
+    'Glob pattern for HTML files in directories (default: **/*.html)',
+    '**/*.html'
+  )
+  .action(async (inputs, options) => {
+    try {
+      const files = [];
+      for (const input of inputs) {
+        if (fs.statSync(input).isDirectory()) {
+          files.push(...(await glob(path.join(input, options.pattern), { nodir: true })).sort());
+        } else {
+          files.push(input);
+        }
+      }
+
+      if (files.length === 0) {
+        console.log(chalk.yellow('⚠️  No HTML files found'));
+        return;
+      }
+
+      let problemCount = 0;
+
+      for (const file of files) {
+        const diagnostics = lint(fs.readFileSync(file, 'utf-8'));
+        diagnostics.forEach(({ line, column, rule, message }) => {
+          console.log(`${chalk.cyan(`${file}:${line}:${column}`)}  ${message}  ${chalk.gray(rule)}`);
+        });
+        problemCount += diagnostics.length;
+      }
+
+      if (problemCount > 0) {
+        console.log(chalk.red(`\n❌ ${problemCount} problem(s) in ${files.length} file(s)`));
+        process.exit(1);
+      }
+      console.log(chalk.green(`✅ ${files.length} file(s) without problems`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
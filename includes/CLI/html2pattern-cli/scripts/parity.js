@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Shared Window Parity Check
+ *
+ * Converts every HTML file of a corpus (default: src/content/pages) in the default,
+ * core and rich inline modes twice: with the shared JSDOM window of src/parser.js,
+ * and the way the browser runs the converters, a fresh window with freshly
+ * evaluated converters per call. Block markup and the HTML pulled back from it
+ * must be identical; the time of both is printed.
+ *
+ * Usage: node scripts/parity.js [directory]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { glob } = require('glob');
+const { JSDOM } = require('jsdom');
+const parser = require('../src/parser');
+const { parseBlockMarkup } = require('../src/block-parser');
+
+const DEFAULT_CORPUS = path.resolve(__dirname, '../../../../src/content/pages');
+
+const MODES = {
+  default: {},
+  core: { mode: 'core' },
+  rich: { inline: 'rich' },
+};
+
+const clientParserCode = fs.readFileSync(path.resolve(__dirname, '../../client-html2blocks.js'), 'utf8');
+const clientBlocksCode = fs.readFileSync(path.resolve(__dirname, '../../client-blocks2html.js'), 'utf8');
+const customHandlers = require('../../custom-elements');
+
+/**
+ * Create a window the way a browser page gets one: new document, converters evaluated in it
+ * @returns {Object} JSDOM window
+ */
+function createFreshWindow() {
+  const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { runScripts: 'outside-only' });
+  dom.window.__customHandlers = customHandlers;
+  dom.window.eval(clientParserCode);
+  dom.window.eval(clientBlocksCode);
+  return dom.window;
+}
+
+/**
+ * Convert HTML to block markup and back with a fresh window per call
+ * @param {string} html - Source HTML
+ * @param {Object} options - Conversion options
+ * @returns {Object} { markup, html }
+ */
+function convertFresh(html, options) {
+  const markup = parser.generateBlockMarkup(createFreshWindow().html2blocks(html, options));
+  return { markup, html: createFreshWindow().universal.blocks2html(parseBlockMarkup(markup), options) };
+}
+
+/**
+ * Convert HTML to block markup and back with the shared window
+ * @param {string} html - Source HTML
+ * @param {Object} options - Conversion options
+ * @returns {Object} { markup, html }
+ */
+function convertShared(html, options) {
+  const markup = parser.generateBlockMarkup(parser.html2blocks(html, options));
+  return { markup, html: parser.blocks2html(parseBlockMarkup(markup), options) };
+}
+
+/**
+ * Run every file through a converter and time it
+ * @param {Array} sources - [file, html] pairs
+ * @param {Object} options - Conversion options
+ * @param {Function} convert - convertFresh or convertShared
+ * @returns {Object} { results, ms }
+ */
+function timeRun(sources, options, convert) {
+  const start = process.hrtime.bigint();
+  const results = sources.map(([, html]) => convert(html, options));
+  return { results, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+async function main() {
+  const corpus = path.resolve(process.argv[2] || DEFAULT_CORPUS);
+  const files = (await glob(path.join(corpus, '**/*.html'), { nodir: true })).sort();
+
+  if (files.length === 0) {
+    console.log(chalk.yellow(`⚠️  No HTML files in ${corpus}`));
+    return;
+  }
+
+  const sources = files.map(file => [path.relative(corpus, file), fs.readFileSync(file, 'utf8')]);
+  console.log(chalk.blue(`🔍 Shared window parity: ${files.length} file(s) in ${path.relative(process.cwd(), corpus) || '.'}\n`));
+
+  // Warm up both paths before timing; a long-running converter process has its shared window already
+  convertFresh(sources[0][1], {});
+  convertShared(sources[0][1], {});
+
+  let mismatchCount = 0;
+
+  Object.entries(MODES).forEach(([mode, options]) => {
+    const fresh = timeRun(sources, options, convertFresh);
+    const shared = timeRun(sources, options, convertShared);
+
+    const mismatches = [];
+    sources.forEach(([file], i) => {
+      ['markup', 'html'].forEach(kind => {
+        if (fresh.results[i][kind] !== shared.results[i][kind]) {
+          mismatches.push(`${file} ${kind} differs`);
+        }
+      });
+    });
+    mismatchCount += mismatches.length;
+
+    console.log(
+      mismatches.length > 0 ? chalk.red('✗') : chalk.green('✓'),
+      `${mode.padEnd(7)} fresh window ${fresh.ms.toFixed(0).padStart(6)} ms`,
+      `  shared window ${shared.ms.toFixed(0).padStart(6)} ms`,
+      chalk.gray(`(${(fresh.ms / shared.ms).toFixed(1)}x)`)
+    );
+    mismatches.forEach(mismatch => console.log(`    ${mismatch}`));
+  });
+
+  console.log();
+  if (mismatchCount > 0) {
+    console.log(chalk.red(`❌ ${mismatchCount} difference(s) between the fresh and shared window`));
+    process.exit(1);
+  }
+  console.log(chalk.green('✅ Shared window output is identical'));
+}
+
+main().catch(error => {
+  console.error(chalk.red('Error:'), error.message);
+  process.exit(1);
+});
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+
+/**
+ * Roundtrip Checks
+ *
+ * Small cases that must come back unchanged through the converters, run with
+ * `npm test`. HTML cases go through verifyRoundtrip() (push, then pull) and fail
+ * on any difference; `expect` adds checks on the block markup in between, and
+ * `warning` is text the converters must print as a warning, and `error` text the
+ * conversion must fail with. Cases with invalid input set `roundtrip: false`,
+ * since the invalid part is left out on purpose.
+ * Markup cases start from blocks as WordPress saves them and go through a pull,
+ * then a push, and fail unless the same blocks come back.
+ *
+ * Usage: node scripts/roundtrip-checks.js
+ */
+
+const chalk = require('chalk');
+const { verifyRoundtrip } = require('../src/verify');
+const { html2blocks, blocks2html, generateBlockMarkup } = require('../src/parser');
+const { parseBlockMarkup } = require('../src/block-parser');
+
+const CASES = [
+  {
+    name: 'comments without a block beside them are kept',
+    html: '<!-- Divider -->\n<!-- Hero -->',
+    expect: ({ markup }) => markup.startsWith('<!-- wp:core/html -->') || 'expected a core/html block',
+  },
+  {
+    name: 'comments around blocks are kept',
+    html: '<!-- Intro --><section><p>Hi</p></section><!-- End -->',
+  },
+  {
+    name: 'comments around a core block stay comments',
+    html: '<!-- Intro --><p data-block-attrs>Hi</p>',
+    options: { mode: 'core' },
+  },
+  {
+    name: 'comments around a <wp-block> passthrough stay comments',
+    html: '<!-- Note --><wp-block name="core/spacer" attrs=\'{"height":"20px"}\'><div style="height:20px" aria-hidden="true" class="wp-block-spacer"></div></wp-block><!-- End -->',
+  },
+  {
+    name: 'comments around a <Query> stay comments',
+    html: '<!-- Posts --><Query postType="post"><PostTemplate><PostTitle></PostTitle></PostTemplate></Query>',
+  },
+  {
+    name: 'escaped code in <wp-block> HTML stays escaped',
+    html: '<wp-block name="core/code"><pre class="wp-block-code"><code>&lt;script&gt;alert(1)&lt;/script&gt;</code></pre></wp-block>',
+    expect: ({ html }) => html.includes('&lt;script&gt;') || 'expected &lt;script&gt; in the pulled HTML',
+  },
+  {
+    name: 'quotes in attribute values stay escaped',
+    html: '<div style="background: url(&quot;hero.png&quot;)"><p>Hi</p></div>',
+  },
+  {
+    name: 'Twig controls keep text and several children as written',
+    html: '<if condition="user">Hello <b>you</b></if><loop source="posts"><h2>Title</h2><p>Text</p></loop>',
+  },
+  {
+    name: 'Twig controls keep text as written in rich inline mode',
+    html: '<if condition="user">Hello <b>you</b></if>',
+    options: { inline: 'rich' },
+  },
+  {
+    name: 'a condition inside a loop stays inside the loop',
+    html: '<loop source="posts" as="post"><if condition="post.ok"><article><h2>Title</h2></article></if></loop>',
+  },
+  {
+    name: 'a variable set inside a condition stays inside the condition',
+    html: '<if condition="user"><set name="greeting" value="\'Hi\'"><p>Hi</p></set></if>',
+  },
+  {
+    name: 'controls in nesting order merge into one block',
+    html: '<set name="title" value="post.title"><if condition="title"><loop source="posts"><p>Hi</p></loop></if></set>',
+    expect: ({ markup }) => markup.split('<!-- wp:').length === 2 || 'expected a single block',
+  },
+  {
+    name: 'boolean attributes compare by presence',
+    html: '<form><input type="checkbox" checked="checked" required=""><select><option selected="SELECTED">A</option></select></form>',
+  },
+  {
+    name: 'binding keys with colons roundtrip',
+    html: '<h1 data-bind-content="acf/field:group:title">Title</h1><img data-bind-src="core/post-meta:seo:image" src="/a.jpg" alt="">',
+    expect: ({ markup }) =>
+      (markup.includes('"source":"acf/field","args":{"key":"group:title"}') &&
+        markup.includes('"source":"core/post-meta","args":{"key":"seo:image"}')) ||
+      'expected the keys group:title and seo:image',
+  },
+  {
+    name: 'ACF binding keys with colons survive a pull',
+    markup: '<!-- wp:universal/element {"tagName":"h1","contentType":"text","content":"Title","metadata":{"bindings":{"content":{"source":"acf/field","args":{"key":"group:title"}}}}} /-->',
+  },
+  {
+    name: 'unknown lock names and template locks are reported and left out',
+    html: '<section data-template-lock="content-only"><div data-lock="move delete"><p>Hi</p></div></section>',
+    roundtrip: false,
+    warning: 'ignoring unknown lock "delete"',
+    expect: ({ markup }) =>
+      (markup.includes('"lock":{"move":true}') && !markup.includes('templateLock')) ||
+      'expected only the move lock',
+  },
+  {
+    name: 'valid locks roundtrip',
+    html: '<section data-template-lock="contentOnly"><div data-lock=\'{"move":false,"remove":true}\'><p>Hi</p></div></section>',
+  },
+  {
+    name: 'unknown style directives are rejected',
+    html: '<!-- html2blocks style="inlin" --><p>Hi</p>',
+    error: 'Unknown html2blocks directive style="inlin" (supported: keep, strip)',
+  },
+  {
+    name: 'unknown style options are rejected',
+    html: '<p>Hi</p>',
+    options: { style: 'inlin' },
+    error: 'Unknown html2blocks option style="inlin" (supported: keep, strip)',
+  },
+  {
+    name: 'unknown mode directives are rejected',
+    html: '<!-- html2blocks mode="cor" --><p>Hi</p>',
+    error: 'Unknown html2blocks directive mode="cor" (supported: universal, core)',
+  },
+  {
+    name: 'unknown inline directives are rejected',
+    html: '<!-- html2blocks inline="text" --><p>Hi</p>',
+    error: 'Unknown html2blocks directive inline="text" (supported: html, rich)',
+  },
+  {
+    name: 'synced patterns without a slug warn about the raw ref',
+    html: '<Synced ref="42"></Synced>',
+    warning: '<Synced ref="42"> uses a post ID',
+  },
+  {
+    name: 'core blocks pulled and pushed with default options stay core blocks',
+    markup: [
+      '<!-- wp:group {"layout":{"type":"constrained"}} -->',
+      '<div class="wp-block-group"><!-- wp:heading {"level":3} -->',
+      '<h3 class="wp-block-heading">Title</h3>',
+      '<!-- /wp:heading -->',
+      '<!-- wp:paragraph {"align":"center"} -->',
+      '<p class="has-text-align-center">Hello <strong>world</strong></p>',
+      '<!-- /wp:paragraph -->',
+      '<!-- wp:image {"id":12,"sizeSlug":"large"} -->',
+      '<figure class="wp-block-image size-large"><img src="hero.jpg" alt="" class="wp-image-12"/></figure>',
+      '<!-- /wp:image -->',
+      '<!-- wp:list {"ordered":true} -->',
+      '<ol class="wp-block-list"><!-- wp:list-item -->',
+      '<li>One</li>',
+      '<!-- /wp:list-item --></ol>',
+      '<!-- /wp:list -->',
+      '<!-- wp:buttons -->',
+      '<div class="wp-block-buttons"><!-- wp:button -->',
+      '<div class="wp-block-button"><a class="wp-block-button__link wp-element-button">Go</a></div>',
+      '<!-- /wp:button --></div>',
+      '<!-- /wp:buttons -->',
+      '<!-- wp:columns -->',
+      '<div class="wp-block-columns"><!-- wp:column -->',
+      '<div class="wp-block-column"><!-- wp:paragraph -->',
+      '<p>Column</p>',
+      '<!-- /wp:paragraph --></div>',
+      '<!-- /wp:column --></div>',
+      '<!-- /wp:columns --></div>',
+      '<!-- /wp:group -->',
+    ].join('\n'),
+  },
+];
+
+/**
+ * Copy a value with object keys sorted, so attribute order doesn't count
+ * @param {*} value - Value
+ * @returns {*} Sorted copy
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((sorted, key) => ({ ...sorted, [key]: sortKeys(value[key]) }), {});
+  }
+  return value;
+}
+
+/**
+ * Reduce blocks to what has to survive: names, attributes and saved HTML
+ * (whitespace and void element slashes aside, as the block validator ignores them)
+ * @param {Array} blocks - Block objects
+ * @returns {Array} Comparable block summaries
+ */
+function summarizeBlocks(blocks) {
+  return blocks
+    .filter(block => block.name)
+    .map(block => ({
+      name: block.name,
+      attributes: sortKeys(block.attributes),
+      html: block.innerContent
+        .filter(part => part !== null)
+        .join('')
+        .replace(/\s*\/>/g, '>')
+        .replace(/\s+/g, ' ')
+        .trim(),
+      innerBlocks: summarizeBlocks(block.innerBlocks),
+    }));
+}
+
+/**
+ * Run one markup case: pull the blocks to HTML, push the HTML back, compare the blocks
+ * @param {string} markup - Block markup as WordPress saves it
+ * @param {Object} options - html2blocks/blocks2html options
+ * @returns {Array} Failure messages (empty when the case passed)
+ */
+function runMarkupCase(markup, options) {
+  const source = parseBlockMarkup(markup);
+  const html = blocks2html(source, options);
+  const pushed = parseBlockMarkup(generateBlockMarkup(html2blocks(html, options)));
+
+  const expected = JSON.stringify(summarizeBlocks(source), null, 2).split('\n');
+  const actual = JSON.stringify(summarizeBlocks(pushed), null, 2).split('\n');
+  const line = expected.findIndex((text, i) => text !== actual[i]);
+
+  if (line === -1 && expected.length === actual.length) {
+    return [];
+  }
+
+  const at = line === -1 ? expected.length : line;
+  return [`blocks changed at line ${at + 1}: expected ${expected[at]}, got ${actual[at]}`];
+}
+
+/**
+ * Run one case
+ * @param {Object} testCase - { name, html or markup, options, expect, warning, error, roundtrip }
+ * @returns {Array} Failure messages (empty when the case passed)
+ */
+function runCase({ html, markup, options = {}, expect, warning, error, roundtrip = true }) {
+  if (markup !== undefined) {
+    return runMarkupCase(markup, options);
+  }
+
+  if (error) {
+    try {
+      verifyRoundtrip(html, options);
+    } catch (thrown) {
+      return thrown.message.includes(error) ? [] : [`expected an error containing ${JSON.stringify(error)}, got ${thrown.message}`];
+    }
+    return [`expected an error containing ${JSON.stringify(error)}`];
+  }
+
+  // Collect warnings instead of printing them between the results
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(String(message));
+
+  let result;
+  try {
+    result = verifyRoundtrip(html, options);
+  } finally {
+    console.warn = warn;
+  }
+
+  const failures = roundtrip ? result.differences.map(({ path, message }) => `${path} ${message}`) : [];
+
+  if (warning && !warnings.some(message => message.includes(warning))) {
+    failures.push(`expected a warning containing ${JSON.stringify(warning)}`);
+  }
+
+  if (expect) {
+    const outcome = expect(result);
+    if (outcome !== true) {
+      failures.push(outcome);
+    }
+  }
+
+  return failures;
+}
+
+let failedCount = 0;
+
+CASES.forEach(testCase => {
+  let failures;
+  try {
+    failures = runCase(testCase);
+  } catch (error) {
+    failures = [error.message];
+  }
+
+  if (failures.length === 0) {
+    console.log(chalk.green('✓'), testCase.name);
+    return;
+  }
+
+  failedCount++;
+  console.log(chalk.red('✗'), testCase.name);
+  failures.forEach(failure => console.log(`    ${failure}`));
+});
+
+console.log();
+if (failedCount > 0) {
+  console.log(chalk.red(`❌ ${failedCount} of ${CASES.length} check(s) failed`));
+  process.exit(1);
+}
+console.log(chalk.green(`✅ ${CASES.length} check(s) passed`));
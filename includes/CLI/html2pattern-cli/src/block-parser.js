@@ -0,0 +1,163 @@
+/**
+ * Block Markup Parser
+ *
+ * Reads serialized block markup (<!-- wp:... --> comments) into the block objects
+ * blocks2html() consumes, without a WordPress install.
+ * Follows the core block-serialization-default-parser, so the result matches what
+ * parse_blocks() returns (formatted like the PHP pull commands do)
+ */
+
+/**
+ * Block comment delimiter: closer slash, namespace, name, attributes JSON, void slash
+ * Same expression as the core default parser
+ */
+const TOKENIZER =
+  /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*\/)?([a-z][a-z0-9_-]*)\s+({(?:(?=([^}]+|}+(?=})|(?!}\s+\/?-->)[^])*)\5|[^]*?)}\s+)?(\/)?-->/g;
+
+/**
+ * Parse serialized block markup into block objects
+ * Freeform HTML between blocks becomes a block with a null name (blank runs are dropped)
+ * @param {string} markup - Serialized post content, template or pattern markup
+ * @returns {Array} Array of { name, attributes, innerBlocks, innerHTML, innerContent }
+ */
+function parseBlockMarkup(markup) {
+  if (!markup || typeof markup !== 'string') {
+    return [];
+  }
+
+  const output = [];
+  const stack = [];
+  let offset = 0;
+
+  const addFreeform = html => {
+    if (html.trim()) {
+      output.push(createBlock(null, {}, html));
+    }
+  };
+
+  // Saved HTML before an inner block goes in innerHTML and innerContent, then the block
+  const addInnerBlock = (parent, block, tokenStart, lastOffset) => {
+    const html = markup.slice(parent.prevOffset, tokenStart);
+    if (html) {
+      parent.block.innerHTML += html;
+      parent.block.innerContent.push(html);
+    }
+    parent.block.innerBlocks.push(block);
+    parent.block.innerContent.push(null);
+    parent.prevOffset = lastOffset;
+  };
+
+  // Close the innermost open block, adding the HTML since its last inner block
+  const closeBlock = endOffset => {
+    const frame = stack.pop();
+    const html = markup.slice(frame.prevOffset, endOffset);
+    if (html) {
+      frame.block.innerHTML += html;
+      frame.block.innerContent.push(html);
+    }
+    return frame;
+  };
+
+  const tokenizer = new RegExp(TOKENIZER.source, 'g');
+
+  while (true) {
+    tokenizer.lastIndex = offset;
+    const match = tokenizer.exec(markup);
+
+    // No more delimiters: unclosed blocks take the rest of the document
+    if (!match) {
+      if (stack.length === 0) {
+        addFreeform(markup.slice(offset));
+      }
+      while (stack.length > 0) {
+        const frame = closeBlock(markup.length);
+        if (stack.length === 0) {
+          addFreeform(markup.slice(frame.leadingHtmlStart, frame.tokenStart));
+          output.push(frame.block);
+        } else {
+          addInnerBlock(stack[stack.length - 1], frame.block, frame.tokenStart, markup.length);
+        }
+      }
+      break;
+    }
+
+    const [token, closerSlash, namespace, localName, attrsJson, , voidSlash] = match;
+    const tokenStart = match.index;
+    const tokenEnd = tokenStart + token.length;
+    const name = (namespace || 'core/') + localName;
+
+    if (closerSlash) {
+      // A closer with nothing open: everything from here on is freeform
+      if (stack.length === 0) {
+        addFreeform(markup.slice(offset));
+        break;
+      }
+
+      const frame = closeBlock(tokenStart);
+      if (stack.length === 0) {
+        addFreeform(markup.slice(frame.leadingHtmlStart, frame.tokenStart));
+        output.push(frame.block);
+      } else {
+        addInnerBlock(stack[stack.length - 1], frame.block, frame.tokenStart, tokenEnd);
+      }
+      offset = tokenEnd;
+      continue;
+    }
+
+    const block = createBlock(name, parseAttributes(attrsJson, name), '');
+
+    if (voidSlash) {
+      if (stack.length === 0) {
+        addFreeform(markup.slice(offset, tokenStart));
+        output.push(block);
+      } else {
+        addInnerBlock(stack[stack.length - 1], block, tokenStart, tokenEnd);
+      }
+    } else {
+      stack.push({ block, tokenStart, leadingHtmlStart: offset, prevOffset: tokenEnd });
+    }
+
+    offset = tokenEnd;
+  }
+
+  return output;
+}
+
+/**
+ * Create an empty block object
+ * @param {string|null} name - Block name (null for freeform HTML)
+ * @param {Object} attributes - Block attributes
+ * @param {string} innerHTML - Saved HTML
+ * @returns {Object} Block object
+ */
+function createBlock(name, attributes, innerHTML) {
+  return {
+    name,
+    attributes,
+    innerBlocks: [],
+    innerHTML,
+    innerContent: innerHTML ? [innerHTML] : [],
+  };
+}
+
+/**
+ * Parse the attributes JSON of a block comment delimiter
+ * @param {string|undefined} json - Attributes JSON (undefined when the comment has none)
+ * @param {string} name - Block name, for the error message
+ * @returns {Object} Block attributes
+ */
+function parseAttributes(json, name) {
+  if (!json) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid attributes JSON in <!-- wp:${name} -->: ${error.message}`);
+  }
+}
+
+module.exports = {
+  parseBlockMarkup,
+};
@@ -2,20 +2,37 @@
  * HTML to Pattern CLI - Main Module
  */
 
-const { html2blocks, generateBlockMarkup } = require('./parser');
+const { html2blocks, blocks2html, generateBlockMarkup } = require('./parser');
+const { parseBlockMarkup } = require('./block-parser');
 const {
   convertHTMLToPattern,
   generatePatternMetadata,
   generatePatternFile,
 } = require('./pattern-generator');
+const { parsePatternFile, generateFrontMatter, convertPatternToHTML } = require('./pattern-reader');
+const { verifyRoundtrip } = require('./verify');
+const { lint } = require('./lint');
 
 module.exports = {
   // Parser functions
   html2blocks,
+  blocks2html,
   generateBlockMarkup,
+  parseBlockMarkup,
 
   // Pattern generator functions
   convertHTMLToPattern,
   generatePatternMetadata,
   generatePatternFile,
+
+  // Pattern reader functions
+  parsePatternFile,
+  generateFrontMatter,
+  convertPatternToHTML,
+
+  // Roundtrip verification
+  verifyRoundtrip,
+
+  // Source linting
+  lint,
 };
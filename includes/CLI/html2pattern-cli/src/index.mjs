@@ -0,0 +1,25 @@
+/**
+ * HTML to Pattern CLI - ES module entry
+ *
+ * Re-exports the CommonJS main module, so `import` and `require()` share one
+ * converter instance
+ */
+
+import html2pattern from './index.js';
+
+export const {
+  html2blocks,
+  blocks2html,
+  generateBlockMarkup,
+  parseBlockMarkup,
+  convertHTMLToPattern,
+  generatePatternMetadata,
+  generatePatternFile,
+  parsePatternFile,
+  generateFrontMatter,
+  convertPatternToHTML,
+  verifyRoundtrip,
+  lint,
+} = html2pattern;
+
+export default html2pattern;
@@ -0,0 +1,516 @@
+/**
+ * Structural HTML Linter
+ *
+ * Finds markup that html2blocks() won't convert the way it is written. The HTML parser
+ * quietly repairs invalid markup, so the block tree can differ from the source with
+ * no error. Rules:
+ *   parser-correction  - the parser closes, moves or drops an element (<div> in <p>,
+ *                        <a> in <a>, a stray </section>, a self-closed <Part />)
+ *   unknown-element    - a tag that is neither HTML nor a registered custom element
+ *   unknown-attribute  - an attribute a custom element doesn't read (<Part slg="...">)
+ *   empty-twig-control - a Twig control without a value (<if condition="">)
+ */
+
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// Same handlers html2blocks() uses (built-in + src/extensions/elements)
+const customHandlers = require(path.resolve(__dirname, '../../custom-elements'));
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+// Elements of the HTML standard
+const HTML_ELEMENTS = [
+  'a abbr address area article aside audio b base bdi bdo blockquote body br button canvas',
+  'caption cite code col colgroup data datalist dd del details dfn dialog div dl dt em',
+  'embed fieldset figcaption figure footer form h1 h2 h3 h4 h5 h6 head header hgroup hr',
+  'html i iframe img input ins kbd label legend li link main map mark menu meta meter nav',
+  'noscript object ol optgroup option output p picture pre progress q rp rt ruby s samp',
+  'script search section select slot small source span strong style sub summary sup svg',
+  'math table tbody td template textarea tfoot th thead time title tr track u ul var video',
+  'wbr',
+]
+  .join(' ')
+  .split(' ');
+
+const VOID_ELEMENTS = 'area base br col embed hr img input link meta source track wbr'.split(' ');
+
+// Elements whose content is text, not markup
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+// Elements whose end tag may be left out (the next sibling or the parent's end closes them)
+const OPTIONAL_END_TAGS =
+  'p li dt dd option optgroup tr td th thead tbody tfoot colgroup caption rt rp'.split(' ');
+
+// Siblings that close each other when the end tag is left out
+const IMPLIED_END_GROUPS = [
+  ['dt', 'dd'],
+  ['td', 'th'],
+  ['rt', 'rp'],
+];
+
+// The document itself: fragments are parsed into <body>, so these are never block elements
+const DOCUMENT_ELEMENTS = ['html', 'head', 'body'];
+
+// Attributes a Twig control element needs a value for
+const TWIG_CONTROL_ATTRIBUTES = {
+  set: ['name', 'value'],
+  if: ['condition'],
+  loop: ['source'],
+};
+
+// Twig control attributes on any element, which html2blocks drops when empty
+const TWIG_ELEMENT_ATTRIBUTES = [
+  'loopSource',
+  'conditionalExpression',
+  'setVariable',
+  'setExpression',
+];
+
+/**
+ * Lint an HTML source file
+ * @param {string} html - HTML source (fragment or full document)
+ * @returns {Array} Diagnostics { line, column, rule, message }, sorted by position (1-based)
+ */
+function lint(html) {
+  if (!html || typeof html !== 'string') {
+    return [];
+  }
+
+  const diagnostics = [];
+  const locate = createLocator(html);
+  const report = (offset, rule, message) => diagnostics.push({ ...locate(offset), rule, message });
+
+  const tokens = tokenize(html);
+  checkNesting(tokens, locate, report);
+
+  // Parse like html2blocks() does: fragments are opened with <body>
+  const isDocument = /^(<!doctype|<html|<head|<body)/i.test(html.trim());
+  const prefix = isDocument ? '' : '<body>';
+  const dom = new JSDOM(prefix + html, { includeNodeLocations: true });
+  const tree = readTree(dom, tokens, prefix.length);
+
+  checkParserTree(tokens, tree, locate, report);
+  tree.forEach(({ element, location }, token) =>
+    checkElement(element, location, token, html, prefix.length, report)
+  );
+
+  dom.window.close();
+
+  return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Build a function that turns a source offset into a line and column
+ * @param {string} source - Source text
+ * @returns {Function} offset -> { line, column }
+ */
+function createLocator(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  return offset => {
+    let line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+      line++;
+    }
+    return { line: line + 1, column: offset - lineStarts[line] + 1 };
+  };
+}
+
+/**
+ * Find the start and end tags as written, skipping comments and raw text
+ * @param {string} source - HTML source
+ * @returns {Array} Tokens { type: 'start'|'end', name, lower, offset, selfClosing }
+ */
+function tokenize(source) {
+  const tokens = [];
+  const lowerSource = source.toLowerCase();
+  const tagPattern = /<(\/?)([a-zA-Z][^\s/>]*)/y;
+  let index = 0;
+
+  while ((index = source.indexOf('<', index)) !== -1) {
+    if (source.startsWith('<!--', index)) {
+      const close = source.indexOf('-->', index + 4);
+      index = close === -1 ? source.length : close + 3;
+      continue;
+    }
+
+    if (source[index + 1] === '!' || source[index + 1] === '?') {
+      const close = source.indexOf('>', index);
+      index = close === -1 ? source.length : close + 1;
+      continue;
+    }
+
+    tagPattern.lastIndex = index;
+    const match = tagPattern.exec(source);
+    if (!match) {
+      index++;
+      continue;
+    }
+
+    const end = findTagEnd(source, tagPattern.lastIndex);
+    const token = {
+      type: match[1] ? 'end' : 'start',
+      name: match[2],
+      lower: match[2].toLowerCase(),
+      offset: index,
+      selfClosing: source[end - 2] === '/',
+    };
+    tokens.push(token);
+    index = end;
+
+    if (token.type === 'start' && RAW_TEXT_ELEMENTS.includes(token.lower)) {
+      const close = lowerSource.indexOf(`</${token.lower}`, index);
+      index = close === -1 ? source.length : close;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Find the end of a tag, skipping quoted attribute values
+ * @param {string} source - HTML source
+ * @param {number} index - Offset after the tag name
+ * @returns {number} Offset after the closing >
+ */
+function findTagEnd(source, index) {
+  let quote = null;
+
+  for (; index < source.length; index++) {
+    const char = source[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return index + 1;
+    }
+  }
+
+  return source.length;
+}
+
+/**
+ * Follow the nesting as written and give each start tag its intended parent
+ * Reports self-closed elements, stray end tags and elements that are never closed
+ * @param {Array} tokens - Tokens from tokenize()
+ * @param {Function} locate - Offset -> { line, column }
+ * @param {Function} report - Add a diagnostic
+ * @returns {void}
+ */
+function checkNesting(tokens, locate, report) {
+  const stack = [];
+  const at = token => `${locate(token.offset).line}:${locate(token.offset).column}`;
+
+  tokens.forEach(token => {
+    if (DOCUMENT_ELEMENTS.includes(token.lower)) {
+      return;
+    }
+
+    if (token.type === 'start') {
+      const top = stack[stack.length - 1];
+      if (top && impliesEnd(top.lower, token.lower)) {
+        stack.pop();
+      }
+
+      token.parent = stack[stack.length - 1] || null;
+
+      if (VOID_ELEMENTS.includes(token.lower)) {
+        return;
+      }
+
+      // Self-closing syntax only works in SVG and MathML
+      const foreign =
+        ['svg', 'math'].includes(token.lower) ||
+        stack.some(open => ['svg', 'math'].includes(open.lower));
+      if (token.selfClosing && !foreign) {
+        token.selfClosed = true;
+        report(
+          token.offset,
+          'parser-correction',
+          `<${token.name} /> is not closed: HTML elements can't self-close, so the parser nests what follows inside it. Write <${token.name}></${token.name}>`
+        );
+        return;
+      }
+
+      if (!token.selfClosing) {
+        stack.push(token);
+      }
+      return;
+    }
+
+    const index = findLastIndex(stack, open => open.lower === token.lower);
+    if (index === -1) {
+      report(
+        token.offset,
+        'parser-correction',
+        `Stray </${token.name}>: no <${token.name}> is open here, the parser ignores it`
+      );
+      return;
+    }
+
+    stack
+      .splice(index)
+      .slice(1)
+      .filter(open => !OPTIONAL_END_TAGS.includes(open.lower))
+      .forEach(open => {
+        report(
+          open.offset,
+          'parser-correction',
+          `<${open.name}> is not closed before </${token.name}> (${at(token)})`
+        );
+      });
+  });
+
+  stack
+    .filter(open => !OPTIONAL_END_TAGS.includes(open.lower))
+    .forEach(open => report(open.offset, 'parser-correction', `<${open.name}> is never closed`));
+}
+
+/**
+ * Check if a start tag closes the open element before it (a valid omitted end tag, <li>a<li>b)
+ * @param {string} open - Open element name (lowercase)
+ * @param {string} next - Start tag name (lowercase)
+ * @returns {boolean}
+ */
+function impliesEnd(open, next) {
+  if (!OPTIONAL_END_TAGS.includes(open)) {
+    return false;
+  }
+  return (
+    open === next || IMPLIED_END_GROUPS.some(group => group.includes(open) && group.includes(next))
+  );
+}
+
+/**
+ * Array.prototype.findLastIndex for Node < 18
+ * @param {Array} array - Array
+ * @param {Function} test - Predicate
+ * @returns {number} Index, or -1
+ */
+function findLastIndex(array, test) {
+  for (let i = array.length - 1; i >= 0; i--) {
+    if (test(array[i])) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Map each start tag to the element the parser made of it and the parent it ended up in
+ * Elements the parser adds itself (<tbody>, a <p> for a stray </p>) have no start tag
+ * and are skipped, so their children count as children of the nearest written element
+ * @param {JSDOM} dom - Parsed document with node locations
+ * @param {Array} tokens - Tokens from tokenize()
+ * @param {number} shift - Length of the <body> prefix added before parsing
+ * @returns {Map} Start token -> { element, location, parent }
+ */
+function readTree(dom, tokens, shift) {
+  const byOffset = new Map(
+    tokens.filter(token => token.type === 'start').map(token => [token.offset, token])
+  );
+  const tree = new Map();
+
+  const walk = (node, parent) => {
+    Array.from(node.childNodes).forEach(child => {
+      if (child.nodeType !== 1) {
+        return;
+      }
+
+      const location = dom.nodeLocation(child);
+      const token =
+        location && location.startTag ? byOffset.get(location.startTag.startOffset - shift) : null;
+      const content = child.localName === 'template' ? child.content : child;
+
+      if (!token || DOCUMENT_ELEMENTS.includes(token.lower)) {
+        walk(content, parent);
+        return;
+      }
+
+      tree.set(token, { element: child, location, parent });
+      walk(content, token);
+    });
+  };
+
+  walk(dom.window.document, null);
+  return tree;
+}
+
+/**
+ * Compare the nesting as written with the tree the parser built
+ * @param {Array} tokens - Tokens after checkNesting()
+ * @param {Map} tree - Tree from readTree()
+ * @param {Function} locate - Offset -> { line, column }
+ * @param {Function} report - Add a diagnostic
+ * @returns {void}
+ */
+function checkParserTree(tokens, tree, locate, report) {
+  const at = token => `${locate(token.offset).line}:${locate(token.offset).column}`;
+
+  tokens
+    .filter(token => token.type === 'start' && !DOCUMENT_ELEMENTS.includes(token.lower))
+    .forEach(token => {
+      const placed = tree.get(token);
+
+      if (!placed) {
+        report(
+          token.offset,
+          'parser-correction',
+          `<${token.name}> is dropped by the parser: it isn't allowed here`
+        );
+        return;
+      }
+
+      // Elements after a self-closed one end up inside it, which is reported already
+      if (placed.parent === token.parent || (placed.parent && placed.parent.selfClosed)) {
+        return;
+      }
+
+      const intended = token.parent && tree.get(token.parent);
+      if (!token.parent) {
+        report(
+          token.offset,
+          'parser-correction',
+          `<${token.name}> ends up inside <${placed.parent.name}> (${at(placed.parent)}): the parser doesn't close <${placed.parent.name}> where it is written`
+        );
+      } else if (intended && !intended.location.endTag) {
+        report(
+          token.offset,
+          'parser-correction',
+          `<${token.name}> can't be inside <${token.parent.name}> (${at(token.parent)}): the parser closes <${token.parent.name}> before it`
+        );
+      } else {
+        report(
+          token.offset,
+          'parser-correction',
+          `<${token.name}> can't be inside <${token.parent.name}> (${at(token.parent)}): the parser moves it out`
+        );
+      }
+    });
+}
+
+/**
+ * Check an element's tag name and attributes
+ * @param {Element} element - DOM element
+ * @param {Object} location - Node location from JSDOM
+ * @param {Object} token - Start token of the element
+ * @param {string} source - HTML source
+ * @param {number} shift - Length of the <body> prefix added before parsing
+ * @param {Function} report - Add a diagnostic
+ * @returns {void}
+ */
+function checkElement(element, location, token, source, shift, report) {
+  if (element.namespaceURI !== HTML_NAMESPACE) {
+    return;
+  }
+
+  const attributeOffset = name => {
+    const attribute = location.attrs && location.attrs[name];
+    return attribute ? attribute.startOffset - shift : token.offset;
+  };
+  const attributeName = name => source.substr(attributeOffset(name), name.length);
+
+  const handler = customHandlers.byTagName[token.lower];
+
+  if (!handler && !HTML_ELEMENTS.includes(token.lower) && !token.lower.includes('-')) {
+    const known = [
+      ...Object.values(customHandlers.byTagName).map(({ tagName }) => tagName),
+      ...HTML_ELEMENTS,
+    ];
+    report(
+      token.offset,
+      'unknown-element',
+      `Unknown element <${token.name}>: not HTML and not a registered custom element${suggest(token.name, known)}`
+    );
+  }
+
+  if (handler && Array.isArray(handler.attributes)) {
+    const known = handler.attributes.map(name => name.toLowerCase());
+    Array.from(element.attributes)
+      .filter(({ name }) => !known.includes(name))
+      .forEach(({ name }) => {
+        report(
+          attributeOffset(name),
+          'unknown-attribute',
+          `<${token.name}> doesn't read ${attributeName(name)}, it is lost on conversion${suggest(name, handler.attributes)}`
+        );
+      });
+  }
+
+  (TWIG_CONTROL_ATTRIBUTES[token.lower] || []).forEach(name => {
+    if (!element.hasAttribute(name)) {
+      report(token.offset, 'empty-twig-control', `<${token.name}> has no ${name}`);
+    } else if (element.getAttribute(name).trim() === '') {
+      report(attributeOffset(name), 'empty-twig-control', `<${token.name}> has an empty ${name}`);
+    }
+  });
+
+  TWIG_ELEMENT_ATTRIBUTES.forEach(name => {
+    if (element.hasAttribute(name) && element.getAttribute(name).trim() === '') {
+      report(
+        attributeOffset(name.toLowerCase()),
+        'empty-twig-control',
+        `Empty ${name} on <${token.name}>: html2blocks drops it`
+      );
+    }
+  });
+}
+
+/**
+ * Suggest the closest known name for a misspelled one
+ * @param {string} name - Name as written
+ * @param {Array} candidates - Known names
+ * @returns {string} ' (did you mean "x"?)' or ''
+ */
+function suggest(name, candidates) {
+  const lower = name.toLowerCase();
+  let best = null;
+  let bestDistance = Math.min(2, Math.floor(lower.length / 2));
+
+  candidates.forEach(candidate => {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance > 0 && distance <= bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  return best ? ` (did you mean ${best}?)` : '';
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+module.exports = {
+  lint,
+};
@@ -3,90 +3,132 @@
  *
  * Uses the client-side parser with JSDOM polyfills
  * This ensures server-side and client-side parsers are EXACTLY the same
+ * One JSDOM window is shared by all calls in a process, so converting many files is cheap
  */
 
 const { JSDOM } = require('jsdom');
 const fs = require('fs');
 const path = require('path');
 
-// Load the client-side parser
-const clientParserPath = path.resolve(__dirname, '../../../client-html2blocks.js');
+// Load the client-side parser (the single copy that also builds window.universal, see build-converters.js)
+const clientParserPath = path.resolve(__dirname, '../../client-html2blocks.js');
 const clientParserCode = fs.readFileSync(clientParserPath, 'utf8');
 
+// Load the client-side blocks to HTML converter
+const clientBlocksPath = path.resolve(__dirname, '../../client-blocks2html.js');
+const clientBlocksCode = fs.readFileSync(clientBlocksPath, 'utf8');
+
 // Load custom element handlers
 const customElementsPath = path.resolve(__dirname, '../../custom-elements');
 const customHandlers = require(customElementsPath);
 
+let sharedWindow = null;
+
+/**
+ * Get the JSDOM window that runs the client-side converters
+ * Created on first use and shared by every call: the converters keep no state
+ * between calls (each html2blocks() parses into its own DOMParser document),
+ * so bulk conversions don't pay for a new JSDOM and script eval per file
+ * @returns {Object} JSDOM window with html2blocks() and universal.blocks2html()
+ */
+function getWindow() {
+  if (!sharedWindow) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`, {
+      runScripts: 'outside-only'
+    });
+
+    // Inject custom handlers into the JSDOM window so they're available to the parser
+    dom.window.__customHandlers = customHandlers;
+
+    // Execute both client-side converters in the JSDOM context
+    dom.window.eval(clientParserCode);
+    dom.window.eval(clientBlocksCode);
+
+    sharedWindow = dom.window;
+  }
+
+  return sharedWindow;
+}
+
 /**
  * Parse HTML string to universal/element blocks
  * Uses the client-side parser with JSDOM for server-side compatibility
  * @param {string} html - HTML string to parse
+ * @param {Object} options - Conversion options (see client-html2blocks.js)
  * @returns {Array} Array of block objects
  */
-function html2blocks(html) {
+function html2blocks(html, options = {}) {
   if (!html || typeof html !== 'string') {
     return [];
   }
 
-  // Create a JSDOM instance with the client parser code
-  const dom = new JSDOM(`<!DOCTYPE html><html><body></body></html>`, {
-    runScripts: 'outside-only'
-  });
+  return getWindow().html2blocks(html, options);
+}
 
-  // Inject custom handlers into the JSDOM window so they're available to the parser
-  dom.window.__customHandlers = customHandlers;
+/**
+ * Convert blocks back to HTML
+ * Uses the client-side converter with JSDOM, like html2blocks()
+ * @param {Array} blocks - Array of block objects (e.g. from parseBlockMarkup)
+ * @param {Object} options - Conversion options (see client-blocks2html.js)
+ * @returns {string} HTML string
+ */
+function blocks2html(blocks, options = {}) {
+  if (!blocks || !Array.isArray(blocks)) {
+    return '';
+  }
 
-  // Execute the client-side parser in the JSDOM context
-  dom.window.eval(clientParserCode);
+  return getWindow().universal.blocks2html(blocks, options);
+}
 
-  // Call the html2blocks function that's now in the JSDOM window
-  return dom.window.html2blocks(html);
+/**
+ * Check if an attribute is an HTML boolean attribute, by the converters' own list
+ * (html2blocks writes these bare: checked="checked" -> checked)
+ * @param {string} name - Attribute name
+ * @returns {boolean}
+ */
+function isBooleanAttribute(name) {
+  return getWindow().isBooleanAttribute(name);
 }
 
+/**
+ * Parse HTML into a DOM body the same way html2blocks() reads it
+ * Fragments are opened with <body> so leading comments land in the body
+ * @param {string} html - HTML string (fragment or full document)
+ * @returns {HTMLElement} Body element of the parsed document
+ */
+function parseHTML(html) {
+  const window = getWindow();
+  const source = (html || '').trim();
+  const isDocument = /^(<!doctype|<html|<head|<body)/i.test(source);
+
+  return new window.DOMParser().parseFromString(isDocument ? source : '<body>' + source, 'text/html').body;
+}
 
 /**
  * Generate WordPress block markup from block data
+ * Uses the serializer of client-html2blocks.js, the one the editor uses
  * @param {Array} blocks - Array of block objects
- * @param {Object} options - Options for markup generation
- * @param {boolean} options.doubleEscape - Whether to double-escape backslashes for WordPress (default: true for content, false for pages)
  * @returns {string} WordPress block markup
  */
-function generateBlockMarkup(blocks, options = {}) {
-  if (!blocks || !Array.isArray(blocks)) {
-    return '';
-  }
+function generateBlockMarkup(blocks) {
+  return getWindow().universal.generateBlockMarkup(blocks);
+}
 
-  const { doubleEscape = true } = options;
-
-  const serializeBlock = block => {
-    const { name, attributes, innerBlocks } = block;
-
-    // Serialize attributes to JSON
-    let attrsJson = '';
-    if (Object.keys(attributes).length > 0) {
-      const jsonString = JSON.stringify(attributes);
-      // Double-escape backslashes if needed (for markdown/code blocks from content)
-      // Pages with SVGs don't need this, content with code blocks does
-      attrsJson = ' ' + (doubleEscape ? jsonString.replace(/\\/g, '\\\\') : jsonString);
-    }
-
-    // Check if block has inner blocks
-    const hasInnerBlocks = innerBlocks && innerBlocks.length > 0;
-
-    if (hasInnerBlocks) {
-      // Self-closing comment with inner blocks
-      const innerMarkup = innerBlocks.map(serializeBlock).join('\n');
-      return `<!-- wp:${name}${attrsJson} -->\n${innerMarkup}\n<!-- /wp:${name} -->`;
-    } else {
-      // Self-closing block
-      return `<!-- wp:${name}${attrsJson} /-->`;
-    }
-  };
-
-  return blocks.map(serializeBlock).join('\n\n');
+/**
+ * Read the conversion directives of leading <!-- html2blocks ... --> comments
+ * the same way html2blocks() does
+ * @param {string} html - HTML string
+ * @returns {Object} Directive key/value pairs
+ */
+function readDirectives(html) {
+  return getWindow().universal.readDirectives(html || '');
 }
 
 module.exports = {
   html2blocks,
+  blocks2html,
+  isBooleanAttribute,
+  parseHTML,
   generateBlockMarkup,
+  readDirectives,
 };
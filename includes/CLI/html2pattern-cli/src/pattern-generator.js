@@ -7,6 +7,154 @@
 const path = require('path');
 const { html2blocks, generateBlockMarkup } = require('./parser');
 
+/**
+ * Pattern header fields that an HTML file can declare, keyed by header name
+ * Same headers WordPress reads from pattern files
+ */
+const PATTERN_FIELDS = {
+  Title: { key: 'title', type: 'string' },
+  Slug: { key: 'slug', type: 'string' },
+  Description: { key: 'description', type: 'string' },
+  Categories: { key: 'categories', type: 'list' },
+  Keywords: { key: 'keywords', type: 'list' },
+  'Viewport Width': { key: 'viewportWidth', type: 'number' },
+  'Block Types': { key: 'blockTypes', type: 'list' },
+  'Post Types': { key: 'postTypes', type: 'list' },
+  'Template Types': { key: 'templateTypes', type: 'list' },
+  Inserter: { key: 'inserter', type: 'boolean' },
+};
+
+/**
+ * Find the pattern field for a front-matter key or <meta> name
+ * Case, spaces, dashes and underscores don't matter ("block-types" is Block Types)
+ * @param {string} name - Key as written in the file
+ * @returns {string|undefined} Header name
+ */
+function findPatternField(name) {
+  const normalize = value => value.toLowerCase().replace(/[\s_-]/g, '');
+  return Object.keys(PATTERN_FIELDS).find(header => normalize(header) === normalize(name));
+}
+
+/**
+ * Convert a metadata value to its option value
+ * @param {string} header - Header name
+ * @param {string} value - Value as written in the file
+ * @returns {*} Option value
+ */
+function parsePatternField(header, value) {
+  const { type } = PATTERN_FIELDS[header];
+
+  if (type === 'list') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  if (type === 'number') {
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number)) {
+      throw new Error(`Pattern metadata "${header}" must be a number, got "${value}"`);
+    }
+    return number;
+  }
+
+  if (type === 'boolean') {
+    const flag = value.trim().toLowerCase();
+    if (!['true', 'false', 'yes', 'no'].includes(flag)) {
+      throw new Error(`Pattern metadata "${header}" must be true or false, got "${value}"`);
+    }
+    return flag === 'true' || flag === 'yes';
+  }
+
+  return value.trim();
+}
+
+/**
+ * Read per-file pattern metadata from the top of an HTML file
+ * Accepts a front-matter comment (as written by pattern2html) and <meta name content> tags:
+ *
+ *   <!-- pattern
+ *   Title: Hero
+ *   Categories: hero, featured
+ *   -->
+ *   <meta name="block-types" content="core/post-content">
+ *
+ * Both are removed from the HTML; other leading comments (html2blocks directives) stay
+ * @param {string} html - HTML content
+ * @returns {Object} { metadata, html } - metadata uses generatePatternMetadata() option names
+ */
+function readPatternMetadata(html) {
+  const metadata = {};
+  const kept = [];
+  let rest = html;
+
+  const set = (name, value, source) => {
+    const header = findPatternField(name);
+    if (!header) {
+      throw new Error(
+        `Unknown pattern metadata "${name}" in ${source} (known: ${Object.keys(PATTERN_FIELDS).join(', ')})`
+      );
+    }
+    metadata[PATTERN_FIELDS[header].key] = parsePatternField(header, value);
+  };
+
+  while (true) {
+    const whitespace = rest.match(/^\s+/);
+    const frontMatter = rest.match(/^<!--\s*pattern\s*\n([\s\S]*?)-->/);
+    const meta = rest.match(/^<meta\s([^>]*?)\/?>/i);
+    const comment = rest.match(/^<!--[\s\S]*?-->/);
+
+    if (whitespace) {
+      kept.push(whitespace[0]);
+      rest = rest.slice(whitespace[0].length);
+    } else if (frontMatter) {
+      frontMatter[1].split(/\r?\n/).forEach(line => {
+        if (!line.trim()) {
+          return;
+        }
+        const field = line.match(/^\s*([^:]+?)\s*:\s*(.*)$/);
+        if (!field) {
+          throw new Error(`Invalid pattern front-matter line "${line.trim()}" (expected "Name: value")`);
+        }
+        set(field[1], field[2].replace(/--&gt;/g, '-->'), 'front matter');
+      });
+      rest = rest.slice(frontMatter[0].length);
+    } else if (meta) {
+      const name = readMetaAttribute(meta[1], 'name');
+      if (name === undefined) {
+        break;
+      }
+      set(name, readMetaAttribute(meta[1], 'content') || '', `<meta name="${name}">`);
+      rest = rest.slice(meta[0].length);
+    } else if (comment) {
+      kept.push(comment[0]);
+      rest = rest.slice(comment[0].length);
+    } else {
+      break;
+    }
+  }
+
+  return { metadata, html: (kept.join('') + rest).trim() };
+}
+
+/**
+ * Read a quoted attribute from the attributes of a <meta> tag
+ * @param {string} attributes - Attribute markup
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} Decoded value
+ */
+function readMetaAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  if (!match) {
+    return undefined;
+  }
+
+  return (match[1] !== undefined ? match[1] : match[2])
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
 /**
  * Generate pattern metadata from filename and options
  * @param {string} filename - Pattern filename (without extension)
@@ -22,13 +170,15 @@ function generatePatternMetadata(filename, options = {}) {
 
   return {
     title,
-    slug: options.namespace ? `${options.namespace}/${slug}` : slug,
+    // A slug that already has a namespace (e.g. from front matter) is used as-is
+    slug: options.namespace && !slug.includes('/') ? `${options.namespace}/${slug}` : slug,
     description: options.description || '',
     categories: options.categories || [],
     keywords: options.keywords || [],
     viewportWidth: options.viewportWidth || 1280,
     blockTypes: options.blockTypes || [],
     postTypes: options.postTypes || [],
+    templateTypes: options.templateTypes || [],
     inserter: options.inserter !== false,
   };
 }
@@ -69,6 +219,10 @@ function generatePatternFile(metadata, blockMarkup) {
     lines.push(` * Post Types: ${metadata.postTypes.join(', ')}`);
   }
 
+  if (metadata.templateTypes && metadata.templateTypes.length > 0) {
+    lines.push(` * Template Types: ${metadata.templateTypes.join(', ')}`);
+  }
+
   lines.push(` * Inserter: ${metadata.inserter ? 'true' : 'false'}`);
   lines.push(' */');
   lines.push('?>');
@@ -87,14 +241,22 @@ function generatePatternFile(metadata, blockMarkup) {
  * @returns {string} PHP pattern file content
  */
 function convertHTMLToPattern(html, filename, options = {}) {
+  // Metadata declared in the file wins over the CLI defaults
+  const { metadata: fileMetadata, html: body } = readPatternMetadata(html);
+
   // Parse HTML to blocks
-  const blocks = html2blocks(html);
+  const blocks = html2blocks(body, {
+    style: options.style,
+    mode: options.mode,
+    inline: options.inline,
+    syncedPatterns: options.syncedPatterns
+  });
 
   // Convert blocks to WordPress markup
   const blockMarkup = generateBlockMarkup(blocks);
 
   // Generate metadata
-  const metadata = generatePatternMetadata(filename, options);
+  const metadata = generatePatternMetadata(filename, { ...options, ...fileMetadata });
 
   // Generate PHP file
   return generatePatternFile(metadata, blockMarkup);
@@ -102,6 +264,7 @@ function convertHTMLToPattern(html, filename, options = {}) {
 
 module.exports = {
   convertHTMLToPattern,
+  readPatternMetadata,
   generatePatternMetadata,
   generatePatternFile,
 };
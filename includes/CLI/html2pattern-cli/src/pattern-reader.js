@@ -0,0 +1,67 @@
+/**
+ * WordPress Pattern Reader
+ *
+ * Reads PHP pattern files (header docblock + block markup) back into HTML source files
+ */
+
+const { blocks2html } = require('./parser');
+const { parseBlockMarkup } = require('./block-parser');
+
+/**
+ * Split a PHP pattern file into its header fields and block markup
+ * @param {string} php - PHP pattern file content
+ * @returns {Object} { headers, markup } - headers keeps the names and order of the docblock
+ */
+function parsePatternFile(php) {
+  const headers = {};
+  const header = php.match(/^\s*<\?php\s*\/\*\*([\s\S]*?)\*\/\s*\?>[ \t]*\r?\n?/);
+
+  if (!header) {
+    return { headers, markup: php };
+  }
+
+  header[1].split(/\r?\n/).forEach(line => {
+    const field = line.match(/^\s*\*?\s*([A-Za-z][A-Za-z ]*?)\s*:\s*(.*?)\s*$/);
+    if (field) {
+      headers[field[1]] = field[2];
+    }
+  });
+
+  return { headers, markup: php.slice(header[0].length) };
+}
+
+/**
+ * Generate the front-matter comment that carries pattern headers in an HTML file
+ * @param {Object} headers - Header name -> value (e.g. { Title: 'Hero', Slug: 'mytheme/hero' })
+ * @returns {string} HTML comment, or '' when there are no headers
+ */
+function generateFrontMatter(headers) {
+  const names = Object.keys(headers);
+  if (names.length === 0) {
+    return '';
+  }
+
+  // A value can't end the comment early
+  const lines = names.map(name => `${name}: ${String(headers[name]).replace(/-->/g, '--&gt;')}`);
+  return ['<!-- pattern', ...lines, '-->'].join('\n');
+}
+
+/**
+ * Convert a PHP pattern file to an HTML source file
+ * @param {string} php - PHP pattern file content
+ * @param {Object} options - blocks2html options (e.g. syncedPatterns)
+ * @returns {string} HTML with the pattern headers in a leading front-matter comment
+ */
+function convertPatternToHTML(php, options = {}) {
+  const { headers, markup } = parsePatternFile(php);
+  const html = blocks2html(parseBlockMarkup(markup), options);
+  const frontMatter = generateFrontMatter(headers);
+
+  return (frontMatter ? `${frontMatter}\n\n${html}` : html).trim() + '\n';
+}
+
+module.exports = {
+  parsePatternFile,
+  generateFrontMatter,
+  convertPatternToHTML,
+};
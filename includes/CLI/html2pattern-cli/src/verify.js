@@ -0,0 +1,330 @@
+/**
+ * Roundtrip Verifier
+ *
+ * Runs HTML through html2blocks → generateBlockMarkup → parseBlockMarkup → blocks2html,
+ * the same path a file takes through a push and a pull, and compares the result with
+ * the source as DOM trees: tags, attribute sets, text and comments. Formatting that
+ * doesn't change the document (attribute order, quoting, whitespace between elements,
+ * <!-- empty --> placeholders) is not reported.
+ */
+
+const {
+  html2blocks,
+  blocks2html,
+  generateBlockMarkup,
+  isBooleanAttribute,
+  parseHTML,
+  readDirectives,
+} = require('./parser');
+const { parseBlockMarkup } = require('./block-parser');
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+
+// Elements whose text is compared exactly instead of with collapsed whitespace
+const PREFORMATTED_TAGS = ['pre', 'textarea'];
+
+// Elements holding code: line breaks count (a // comment ends at one), indentation doesn't
+const CODE_TAGS = ['script', 'style'];
+
+/**
+ * Convert HTML through blocks and back, and list what changed
+ * @param {string} html - Source HTML
+ * @param {Object} options - html2blocks/blocks2html options (style, mode, inline, syncedPatterns)
+ * @returns {Object} { html, markup, differences } - the roundtrip HTML, the block markup in
+ *   between, and a { path, message } entry per difference (empty when nothing was lost)
+ */
+function verifyRoundtrip(html, options = {}) {
+  const markup = generateBlockMarkup(html2blocks(html, options));
+  const roundtrip = blocks2html(parseBlockMarkup(markup), options);
+
+  const differences = [];
+  const settings = { stripStyle: getStylePolicy(html, options) === 'strip' };
+  compareChildren(parseHTML(html), parseHTML(roundtrip), '', settings, differences);
+
+  return { html: roundtrip, markup, differences };
+}
+
+/**
+ * Find the style policy html2blocks applies to a file
+ * (a leading <!-- html2blocks style="..." --> directive overrides the option)
+ * @param {string} html - Source HTML
+ * @param {Object} options - Conversion options
+ * @returns {string} 'keep' or 'strip'
+ */
+function getStylePolicy(html, options) {
+  return readDirectives(html).style || options.style || 'keep';
+}
+
+/**
+ * Get the child nodes that carry content
+ * Whitespace-only text and converter comments (<!-- empty -->, <!-- html2blocks ... -->) are skipped
+ * @param {Node} parent - Parent node
+ * @returns {Array} Nodes
+ */
+function getContentNodes(parent) {
+  const preformatted = isPreformatted(parent);
+
+  return Array.from(parent.childNodes).filter(node => {
+    if (node.nodeType === TEXT_NODE) {
+      return preformatted || node.data.trim() !== '';
+    }
+    if (node.nodeType === COMMENT_NODE) {
+      const text = node.data.trim();
+      return text !== 'empty' && !/^html2blocks\s/.test(text);
+    }
+    return node.nodeType === ELEMENT_NODE;
+  });
+}
+
+/**
+ * Check if a node's text keeps its whitespace
+ * @param {Node} node - DOM node
+ * @returns {boolean}
+ */
+function isPreformatted(node) {
+  for (
+    let current = node;
+    current && current.nodeType === ELEMENT_NODE;
+    current = current.parentNode
+  ) {
+    if (PREFORMATTED_TAGS.includes(current.tagName.toLowerCase())) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Name a node for paths and alignment: tag name, text() or comment()
+ * @param {Node} node - DOM node
+ * @returns {string}
+ */
+function nodeName(node) {
+  if (node.nodeType === TEXT_NODE) {
+    return 'text()';
+  }
+  if (node.nodeType === COMMENT_NODE) {
+    return 'comment()';
+  }
+  return node.tagName.toLowerCase();
+}
+
+/**
+ * Build XPath-like steps (/section[1]/div[2]/text()[1]) for sibling nodes
+ * @param {Array} nodes - Sibling nodes
+ * @param {string} parentPath - Path of the parent
+ * @returns {Array} Path per node
+ */
+function nodePaths(nodes, parentPath) {
+  const counts = {};
+  return nodes.map(node => {
+    const name = nodeName(node);
+    counts[name] = (counts[name] || 0) + 1;
+    return `${parentPath}/${name}[${counts[name]}]`;
+  });
+}
+
+/**
+ * Pair up source and roundtrip siblings by name (longest common subsequence),
+ * so one lost node is reported once instead of shifting every sibling after it
+ * @param {Array} source - Source nodes
+ * @param {Array} result - Roundtrip nodes
+ * @returns {Array} [sourceIndex, resultIndex] pairs, -1 where a node has no partner
+ */
+function alignNodes(source, result) {
+  const a = source.map(nodeName);
+  const b = result.map(nodeName);
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      pairs.push([i++, -1]);
+    } else {
+      pairs.push([-1, j++]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Compare the content children of two nodes
+ * @param {Node} source - Source parent
+ * @param {Node} result - Roundtrip parent
+ * @param {string} path - Path of the parent
+ * @param {Object} settings - Comparison settings
+ * @param {Array} differences - Collected differences
+ * @returns {void}
+ */
+function compareChildren(source, result, path, settings, differences) {
+  const sourceNodes = getContentNodes(source);
+  const resultNodes = getContentNodes(result);
+  const sourcePaths = nodePaths(sourceNodes, path);
+  const resultPaths = nodePaths(resultNodes, path);
+
+  alignNodes(sourceNodes, resultNodes).forEach(([i, j]) => {
+    if (j === -1) {
+      differences.push({
+        path: sourcePaths[i],
+        message: `missing ${describeNode(sourceNodes[i])}`,
+      });
+    } else if (i === -1) {
+      differences.push({ path: resultPaths[j], message: `added ${describeNode(resultNodes[j])}` });
+    } else {
+      compareNodes(sourceNodes[i], resultNodes[j], sourcePaths[i], settings, differences);
+    }
+  });
+}
+
+/**
+ * Compare two nodes with the same name
+ * @param {Node} source - Source node
+ * @param {Node} result - Roundtrip node
+ * @param {string} path - Path of the node
+ * @param {Object} settings - Comparison settings
+ * @param {Array} differences - Collected differences
+ * @returns {void}
+ */
+function compareNodes(source, result, path, settings, differences) {
+  if (source.nodeType !== ELEMENT_NODE) {
+    const expected = normalizeText(source);
+    const actual = normalizeText(result);
+    if (expected !== actual) {
+      const kind = source.nodeType === TEXT_NODE ? 'text' : 'comment';
+      differences.push({
+        path,
+        message: `${kind} changed: expected ${quote(expected)}, got ${quote(actual)}`,
+      });
+    }
+    return;
+  }
+
+  compareAttributes(source, result, path, settings, differences);
+  compareChildren(source, result, path, settings, differences);
+}
+
+/**
+ * Compare the attribute sets of two elements
+ * @param {Element} source - Source element
+ * @param {Element} result - Roundtrip element
+ * @param {string} path - Path of the element
+ * @param {Object} settings - Comparison settings
+ * @param {Array} differences - Collected differences
+ * @returns {void}
+ */
+function compareAttributes(source, result, path, settings, differences) {
+  const expected = readAttributes(source, settings);
+  const actual = readAttributes(result, settings);
+
+  Object.keys(expected).forEach(name => {
+    if (!(name in actual)) {
+      differences.push({ path, message: `missing attribute ${name}=${quote(expected[name])}` });
+    } else if (expected[name] !== actual[name]) {
+      differences.push({
+        path,
+        message: `attribute ${name} changed: expected ${quote(expected[name])}, got ${quote(actual[name])}`,
+      });
+    }
+  });
+
+  Object.keys(actual)
+    .filter(name => !(name in expected))
+    .forEach(name => {
+      differences.push({ path, message: `added attribute ${name}=${quote(actual[name])}` });
+    });
+}
+
+/**
+ * Read an element's attributes in comparable form
+ * Class lists compare as sets, style declarations without formatting, boolean
+ * attributes by presence (checked="checked" is checked, as html2blocks writes it);
+ * styles are left out when the style policy strips them on purpose, and so is a bare
+ * data-block-attrs, the marker blocks2html puts on core blocks
+ * @param {Element} element - DOM element
+ * @param {Object} settings - Comparison settings
+ * @returns {Object} Attribute name -> normalized value
+ */
+function readAttributes(element, settings) {
+  const attributes = {};
+
+  Array.from(element.attributes).forEach(({ name, value }) => {
+    if ((name === 'style' && settings.stripStyle) || (name === 'data-block-attrs' && value === '')) {
+      return;
+    }
+    if (isBooleanAttribute(name) && (value === '' || value.toLowerCase() === name.toLowerCase())) {
+      value = '';
+    } else if (name === 'class') {
+      value = value.split(/\s+/).filter(Boolean).sort().join(' ');
+    } else if (name === 'style') {
+      value = value
+        .split(';')
+        .map(declaration => declaration.trim().replace(/\s*:\s*/, ': '))
+        .filter(Boolean)
+        .join('; ');
+    }
+    attributes[name] = value;
+  });
+
+  return attributes;
+}
+
+/**
+ * Get text or comment data with whitespace collapsed
+ * (kept as-is in <pre> and the like, compared by line in <script> and <style>)
+ * @param {Node} node - Text or comment node
+ * @returns {string}
+ */
+function normalizeText(node) {
+  const parent = node.parentNode;
+
+  if (isPreformatted(parent)) {
+    return node.data;
+  }
+  if (node.nodeType === TEXT_NODE && CODE_TAGS.includes(parent.tagName.toLowerCase())) {
+    return node.data
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+  return node.data.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Describe a node for a missing/added message
+ * @param {Node} node - DOM node
+ * @returns {string}
+ */
+function describeNode(node) {
+  if (node.nodeType === ELEMENT_NODE) {
+    return `<${node.tagName.toLowerCase()}> element`;
+  }
+  return `${node.nodeType === TEXT_NODE ? 'text' : 'comment'} ${quote(normalizeText(node))}`;
+}
+
+/**
+ * Quote a value for a message, shortening long ones
+ * @param {string} value - Value
+ * @returns {string}
+ */
+function quote(value) {
+  const text = value.length > 60 ? value.slice(0, 57) + '...' : value;
+  return JSON.stringify(text);
+}
+
+module.exports = {
+  verifyRoundtrip,
+};
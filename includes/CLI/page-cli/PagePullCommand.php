@@ -21,6 +21,16 @@ use WP_CLI;
 
 class PagePullCommand {
 
+    /**
+     * Batch Node.js converter, started on first use
+     */
+    private $converter;
+
+    /**
+     * Number of sections that failed to convert
+     */
+    private $failed = 0;
+
     /**
      * Pull WordPress pages to HTML section files
      *
@@ -80,7 +90,7 @@ class PagePullCommand {
         }
 
         $this->save_page_to_html_sections($post, $pages_dir);
-        WP_CLI::success("Pulled page {$post_id} ({$post->post_title}) to HTML sections");
+        $this->finish("Pulled page {$post_id} ({$post->post_title}) to HTML sections");
     }
 
     /**
@@ -104,7 +114,18 @@ class PagePullCommand {
             $count++;
         }
 
-        WP_CLI::success("Pulled {$count} pages to HTML sections");
+        $this->finish("Pulled {$count} pages to HTML sections");
+    }
+
+    /**
+     * Report success, or fail once every page has been pulled if any section failed
+     */
+    private function finish($message) {
+        if ($this->failed > 0) {
+            WP_CLI::error("{$message}, but {$this->failed} section(s) failed to convert and were not written");
+        }
+
+        WP_CLI::success($message);
     }
 
     /**
@@ -131,16 +152,17 @@ class PagePullCommand {
             $formatted_block = $this->format_block_for_converter($block);
 
             // Convert to HTML using Node.js parser (preserves Twig attributes)
-            $html = $this->block_to_html_via_node([$formatted_block]);
+            $html = $this->block_to_html_via_node([$formatted_block], "page {$post->post_name}, section {$section_count}");
 
-            // Strip WordPress-generated IDs from elements
-            $html = preg_replace('/\s+id=["\'][^"\']*["\']/i', '', $html);
-
-            // Decode HTML entities back to normal characters
-            // This converts &quot; to ", &#x27; to ', &amp; to &, etc.
-            $html = html_entity_decode($html, ENT_QUOTES | ENT_HTML5);
+            // Keep the numbering, so the sections after a failed one keep their files
+            if ($html === null) {
+                $this->failed++;
+                $section_count++;
+                continue;
+            }
 
-            // Save as section file
+            // Save as section file, unchanged: blocks2html already escapes attribute values,
+            // and decoding entities would turn escaped code in <wp-block> HTML into markup
             $filename = 'section-' . $section_count . '.html';
             $file_path = $page_dir . '/' . $filename;
             file_put_contents($file_path, trim($html));
@@ -156,7 +178,10 @@ class PagePullCommand {
         $formatted = [
             'name' => $block['blockName'],
             'attributes' => $block['attrs'] ?? [],
-            'innerBlocks' => []
+            'innerBlocks' => [],
+            // Saved HTML lets blocks without a custom element pass through as <wp-block>
+            'innerHTML' => $block['innerHTML'] ?? '',
+            'innerContent' => $block['innerContent'] ?? []
         ];
 
         // Recursively format inner blocks
@@ -172,32 +197,28 @@ class PagePullCommand {
     /**
      * Convert block to HTML using Node.js server-blocks2html.js parser
      * This preserves Twig attributes instead of rendering them
+     * Runs in batch mode: every conversion of this command shares one Node process
+     * Returns null when the conversion failed (reported as a warning)
      */
-    private function block_to_html_via_node($blocks) {
-        $theme_dir = get_template_directory();
-        $script_path = $theme_dir . '/includes/CLI/parsers/server-blocks2html.js';
-
-        // Write blocks to temp file
-        $temp_file = tempnam(sys_get_temp_dir(), 'blocks_');
-        $json_content = json_encode($blocks, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
-        file_put_contents($temp_file, $json_content);
-
-        // Run Node.js parser
-        $command = "node " . escapeshellarg($script_path) . " " . escapeshellarg($temp_file) . " 2>&1";
-        $output = shell_exec($command);
+    private function block_to_html_via_node($blocks, $context = '') {
+        if (!$this->converter) {
+            // Synced patterns are written as <Synced slug="..."> using this site's slug → ID map
+            $this->converter = new NodeConverter('server-blocks2html.js', ['syncedPatterns' => SyncedPatterns::manifest()]);
+        }
 
-        // Clean up temp file
-        unlink($temp_file);
+        $result = $this->converter->convert(['blocks' => $blocks]);
 
-        if ($output === null || empty($output)) {
-            WP_CLI::error("Failed to convert blocks to HTML using server-blocks2html.js parser");
+        // Report the failed item and let the caller carry on with the rest of the batch
+        if (isset($result['error'])) {
+            WP_CLI::warning("Parser error" . ($context ? " in {$context}" : '') . ": " . $result['error']);
+            return null;
         }
 
-        // Check for errors in output
-        if (strpos($output, 'Error processing blocks:') !== false) {
-            WP_CLI::error("Parser error: " . $output);
+        if ($result['html'] === '') {
+            WP_CLI::warning("Failed to convert blocks to HTML using server-blocks2html.js parser" . ($context ? " in {$context}" : ''));
+            return null;
         }
 
-        return $output;
+        return $result['html'];
     }
 }
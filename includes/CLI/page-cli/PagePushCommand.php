@@ -18,6 +18,26 @@ use WP_CLI;
 
 class PagePushCommand {
 
+    /**
+     * Batch Node.js converter, started on first use
+     */
+    private $converter;
+
+    /**
+     * Inline style policy passed to html2blocks
+     */
+    private $style = 'keep';
+
+    /**
+     * Block mode passed to html2blocks (universal or core)
+     */
+    private $mode = 'universal';
+
+    /**
+     * Inline content policy passed to html2blocks (html or rich)
+     */
+    private $inline = 'html';
+
     /**
      * Push HTML section files to WordPress pages
      *
@@ -29,14 +49,28 @@ class PagePushCommand {
      * [--all]
      * : Push all pages
      *
+     * [--style=<policy>]
+     * : Inline style policy: keep or strip (default: keep)
+     *
+     * [--mode=<mode>]
+     * : Block mode: universal or core (default: universal)
+     *
+     * [--inline=<policy>]
+     * : Mixed text + element content: html or rich (default: html)
+     *
      * ## EXAMPLES
      *
      *     wp page push src/content/pages/home
      *     wp page push --all
+     *     wp page push --all --style=strip
+     *     wp page push src/content/pages/blog --mode=core
      */
     public function __invoke($args, $assoc_args) {
         $path = $args[0] ?? null;
         $all = isset($assoc_args['all']);
+        $this->style = NodeConverter::option($assoc_args, 'style');
+        $this->mode = NodeConverter::option($assoc_args, 'mode');
+        $this->inline = NodeConverter::option($assoc_args, 'inline');
 
         $theme_dir = get_template_directory();
         $pages_dir = $theme_dir . '/src/content/pages';
@@ -106,7 +140,7 @@ class PagePushCommand {
         $all_blocks = '';
         foreach ($section_files as $section_file) {
             $html = file_get_contents($section_file);
-            $blocks = $this->html_to_blocks($html);
+            $blocks = $this->html_to_blocks($html, $slug . '/' . basename($section_file));
             $all_blocks .= $blocks . "\n\n";
         }
 
@@ -146,54 +180,27 @@ class PagePushCommand {
 
     /**
      * Convert HTML to Universal Blocks using html2blocks parser
+     * Runs in batch mode: every section of every page shares one Node process
      */
-    private function html_to_blocks($html) {
-        $theme_dir = get_template_directory();
-        $parser_path = $theme_dir . '/includes/cli/html2pattern-cli/src/parser.js';
-
-        if (!file_exists($parser_path)) {
-            WP_CLI::warning('html2blocks parser not found. Using basic conversion.');
-            return $this->basic_html_to_blocks($html);
+    private function html_to_blocks($html, $context = '') {
+        if (!$this->converter) {
+            $this->converter = new NodeConverter('server-html2blocks.js', [
+                'style' => $this->style,
+                'mode' => $this->mode,
+                'inline' => $this->inline,
+                // <Synced slug="..."> resolves to this site's synced pattern IDs
+                'syncedPatterns' => SyncedPatterns::manifest(),
+            ]);
         }
 
-        // Create temp file for HTML
-        $temp_html = tempnam(sys_get_temp_dir(), 'html_');
-        file_put_contents($temp_html, $html);
-
-        // Run Node.js parser
-        $node_script = <<<JS
-const { html2blocks, generateBlockMarkup } = require('{$parser_path}');
-const fs = require('fs');
-const html = fs.readFileSync('{$temp_html}', 'utf8');
-const blocks = html2blocks(html);
-const markup = generateBlockMarkup(blocks, { doubleEscape: false });
-console.log(markup);
-JS;
-
-        $temp_script = tempnam(sys_get_temp_dir(), 'script_') . '.js';
-        file_put_contents($temp_script, $node_script);
+        $result = $this->converter->convert(['html' => $html]);
 
-        $output = shell_exec("node {$temp_script} 2>&1");
-
-        // Cleanup
-        unlink($temp_html);
-        unlink($temp_script);
-
-        if (empty($output)) {
-            WP_CLI::warning('html2blocks conversion failed. Using basic conversion.');
-            return $this->basic_html_to_blocks($html);
+        // Fail before the page is saved: a fallback conversion would store broken content,
+        // e.g. for a <Synced slug="..."> that doesn't exist in this site
+        if (isset($result['error'])) {
+            WP_CLI::error("html2blocks conversion failed for {$context}: {$result['error']}");
         }
 
-        return trim($output);
-    }
-
-    /**
-     * Basic fallback HTML to blocks conversion
-     */
-    private function basic_html_to_blocks($html) {
-        // Wrap entire HTML in a universal/element block
-        return '<!-- wp:universal/element {"tagName":"div","contentType":"html","globalAttrs":{},"metadata":{"name":"Div"},"content":"' .
-               addslashes($html) .
-               '"} /-->';
+        return trim($result['markup']);
     }
 }
@@ -5,6 +5,8 @@
  * Registers wp page pull and wp page push commands
  */
 
+require_once __DIR__ . '/../SyncedPatterns.php';
+require_once __DIR__ . '/../NodeConverter.php';
 require_once __DIR__ . '/PagePullCommand.php';
 require_once __DIR__ . '/PagePushCommand.php';
 
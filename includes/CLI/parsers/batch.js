@@ -0,0 +1,43 @@
+/**
+ * JSON-lines batch mode for the server-side parsers
+ *
+ * Reads one JSON item per line from stdin and writes one result line per item to
+ * stdout, in order, until stdin closes. A failing item gets an error line and
+ * the next item is converted as usual:
+ *   {"id":1,...}  →  {"id":1,...result}  or  {"id":1,"error":"..."}
+ */
+
+const readline = require('readline');
+
+/**
+ * Run the batch loop
+ * @param {Function} convert - Converts an item object, returns the result fields
+ * @returns {void}
+ */
+function runBatch(convert) {
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+
+  lines.on('line', line => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let id = null;
+    let result;
+
+    try {
+      const item = JSON.parse(line);
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw new Error('Batch item must be a JSON object');
+      }
+      id = item.id === undefined ? null : item.id;
+      result = { id, ...convert(item) };
+    } catch (error) {
+      result = { id, error: error.message };
+    }
+
+    process.stdout.write(JSON.stringify(result) + '\n');
+  });
+}
+
+module.exports = { runBatch };
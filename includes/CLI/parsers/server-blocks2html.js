@@ -4,17 +4,38 @@
  * Server-side Blocks to HTML Parser
  *
  * Uses JSDOM to run client-blocks2html.js in a Node.js environment
+ * (through html2pattern-cli/src/parser.js, which shares one window per process)
  * This maintains 100% integrity between client and server parsing
+ *
+ * Usage: node server-blocks2html.js <blocks.json|-> [options-json]
+ *        node server-blocks2html.js --batch [options-json]
+ * Options are passed to blocks2html (e.g. {"syncedPatterns":{"cta-banner":42}})
+ *
+ * Batch mode reads {"id", "blocks", "options"} JSON lines from stdin (item options
+ * are merged over the command line ones) and writes {"id", "html"} or {"id", "error"}
+ * lines until stdin closes
  */
 
-const { JSDOM } = require('jsdom');
 const fs = require('fs');
-const path = require('path');
+const { blocks2html } = require('../html2pattern-cli/src/parser');
+const { runBatch } = require('./batch');
 
 // Read blocks JSON from stdin or file argument
 const input = process.argv[2];
+const options = process.argv[3] ? JSON.parse(process.argv[3]) : {};
 let blocksJson;
 
+if (input === '--batch') {
+  runBatch(item => {
+    if (!Array.isArray(item.blocks)) {
+      throw new Error('Batch item has no blocks array');
+    }
+    return { html: blocks2html(item.blocks, { ...options, ...item.options }) };
+  });
+
+  return;
+}
+
 if (input && input !== '-') {
   // Read from file
   blocksJson = fs.readFileSync(input, 'utf8');
@@ -42,30 +63,8 @@ function processBlocks(blocksJson) {
     // Parse input blocks
     const blocks = JSON.parse(blocksJson);
 
-    // Create a JSDOM environment
-    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
-      runScripts: 'outside-only'
-    });
-
-    const { window } = dom;
-    global.window = window;
-
-    // Load the client-blocks2html.js script
-    const clientParserPath = path.join(__dirname, '../client-blocks2html.js');
-    const clientParserCode = fs.readFileSync(clientParserPath, 'utf8');
-
-    // Execute the client parser in the JSDOM context
-    dom.window.eval(clientParserCode);
-
-    // Use the blocks2html function from the client parser
-    const html = dom.window.universal.blocks2html(blocks);
-
     // Output the HTML
-    process.stdout.write(html);
-
-    // Clean up
-    delete global.window;
-    dom.window.close();
+    process.stdout.write(blocks2html(blocks, options));
 
   } catch (error) {
     console.error('Error processing blocks:', error.message);
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Server-side HTML to Blocks Parser
+ *
+ * Counterpart of server-blocks2html.js: runs client-html2blocks.js through JSDOM
+ * (html2pattern-cli/src/parser.js) and writes block markup
+ *
+ * Usage: node server-html2blocks.js <file.html|-> [options-json]
+ *        node server-html2blocks.js --batch [options-json]
+ * Options are passed to html2blocks (e.g. {"mode":"core","inline":"rich"})
+ *
+ * Batch mode reads {"id", "html", "options"} JSON lines from stdin (item options
+ * are merged over the command line ones) and writes {"id", "markup"} or {"id", "error"}
+ * lines until stdin closes
+ */
+
+const fs = require('fs');
+const { html2blocks, generateBlockMarkup } = require('../html2pattern-cli/src/parser');
+const { runBatch } = require('./batch');
+
+const input = process.argv[2];
+const options = process.argv[3] ? JSON.parse(process.argv[3]) : {};
+
+if (input === '--batch') {
+  runBatch(item => {
+    if (typeof item.html !== 'string') {
+      throw new Error('Batch item has no html string');
+    }
+    return { markup: generateBlockMarkup(html2blocks(item.html, { ...options, ...item.options })) };
+  });
+
+  return;
+}
+
+if (input && input !== '-') {
+  processHtml(fs.readFileSync(input, 'utf8'));
+} else {
+  // Read from stdin
+  const chunks = [];
+  process.stdin.setEncoding('utf8');
+
+  process.stdin.on('data', (chunk) => {
+    chunks.push(chunk);
+  });
+
+  process.stdin.on('end', () => {
+    processHtml(chunks.join(''));
+  });
+}
+
+function processHtml(html) {
+  try {
+    process.stdout.write(generateBlockMarkup(html2blocks(html, options)));
+  } catch (error) {
+    console.error('Error processing HTML:', error.message);
+    process.exit(1);
+  }
+}
@@ -18,15 +18,20 @@ class TemplatePushCommand extends WP_CLI_Command {
      * <template>
      * : The template name (without .html extension)
      *
+     * [--mode=<mode>]
+     * : Block mode: universal or core (default: universal)
+     *
      * ## EXAMPLES
      *
      *     wp template push index
      *     wp template push single
+     *     wp template push archive --mode=core
      *
      * @when after_wp_load
      */
     public function __invoke($args, $assoc_args) {
         $template_name = $args[0];
+        $mode = NodeConverter::option($assoc_args, 'mode');
         $theme_dir = get_template_directory();
 
         // Source: src/templates/{name}.html
@@ -51,25 +56,16 @@ class TemplatePushCommand extends WP_CLI_Command {
         $html = file_get_contents($source_file);
 
         // Convert HTML to blocks using Node.js parser
-        $node_script = <<<'JS'
-const {html2blocks, generateBlockMarkup} = require('./includes/CLI/html2pattern-cli/src/parser.js');
-const fs = require('fs');
-const html = fs.readFileSync(process.argv[1], 'utf8');
-const blocks = html2blocks(html);
-const markup = generateBlockMarkup(blocks);
-console.log(markup);
-JS;
-
-        // Execute Node.js script
-        $escaped_source = escapeshellarg($source_file);
-        $command = "cd " . escapeshellarg($theme_dir) . " && node -e " . escapeshellarg($node_script) . " " . $escaped_source;
-        $block_markup = shell_exec($command);
+        $converter = new NodeConverter('server-html2blocks.js', ['mode' => $mode, 'syncedPatterns' => SyncedPatterns::manifest()]);
+        $result = $converter->convert(['html' => $html]);
 
-        if (empty($block_markup)) {
-            WP_CLI::error("Failed to convert HTML to blocks");
+        if (isset($result['error'])) {
+            WP_CLI::error("Failed to convert HTML to blocks: {$result['error']}");
             return;
         }
 
+        $block_markup = $result['markup'];
+
         // Write to destination
         file_put_contents($dest_file, trim($block_markup));
 
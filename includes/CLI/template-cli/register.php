@@ -4,6 +4,8 @@
  * Register WP-CLI template commands
  */
 
+require_once __DIR__ . '/../SyncedPatterns.php';
+require_once __DIR__ . '/../NodeConverter.php';
 require_once __DIR__ . '/TemplatePullCommand.php';
 require_once __DIR__ . '/TemplatePushCommand.php';
 